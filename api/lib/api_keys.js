@@ -0,0 +1,201 @@
+/**
+ * API Keys
+ *
+ * Bearer-token authentication for the /api routes. Keys are loaded from a
+ * JSON config file; each key has a token-bucket rate limit and a cap on the
+ * sessions it can hold open at once. The /admin routes use a separate key.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { UnauthorizedError, AdminDisabledError, RateLimitedError, SessionNotFoundError } = require('./errors');
+
+// Limits used when a key doesn't set its own
+const DEFAULT_LIMITS = {
+  burst: 30,            // Bucket size: requests allowed back to back
+  refillPerSecond: 2,   // Steady-state requests per second
+  maxSessions: 10       // Sessions open at once
+};
+
+/**
+ * Check whether a key may use a session. Sessions belong to the key that
+ * created them; with authentication off there is no key and no restriction.
+ * @param {Object|null} apiKey - Key entry from req.apiKey
+ * @param {Object} session - Session
+ * @returns {boolean} - True if the key may use the session
+ */
+function ownsSession(apiKey, session) {
+  return !apiKey || session.apiKeyId === apiKey.id;
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if they match
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+class ApiKeyAuth {
+  /**
+   * @param {Object} options - Auth options
+   * @param {string} options.file - JSON file with { defaults, keys: [{ id, key, burst, refillPerSecond, maxSessions }] }
+   * @param {string} options.adminKey - Key for the admin routes (admin routes are disabled without one)
+   * @param {Object} logger - Winston logger
+   */
+  constructor(options = {}, logger = console) {
+    this.options = {
+      file: path.join(__dirname, '..', 'api_keys.json'),
+      adminKey: null,
+      ...options
+    };
+    this.logger = logger;
+    this.keys = [];
+    this.buckets = new Map();
+  }
+
+  /**
+   * Load the keys file. With no file, authentication is off.
+   * @returns {number} - Number of keys loaded
+   */
+  load() {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(this.options.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.logger.warn(`No API keys file at ${this.options.file}, /api routes are open to anyone`);
+        return 0;
+      }
+      throw new Error(`Failed to read API keys file ${this.options.file}: ${error.message}`);
+    }
+
+    const defaults = { ...DEFAULT_LIMITS, ...(config.defaults || {}) };
+    this.keys = (config.keys || []).map(entry => {
+      if (!entry.id || !entry.key) {
+        throw new Error(`Every entry in ${this.options.file} needs an id and a key`);
+      }
+      return { ...defaults, ...entry };
+    });
+
+    this.logger.info(`Loaded ${this.keys.length} API keys from ${this.options.file}`);
+    return this.keys.length;
+  }
+
+  get enabled() {
+    return this.keys.length > 0;
+  }
+
+  /**
+   * Find the key entry for a bearer token
+   * @param {string} token - Token from the Authorization header
+   * @returns {Object|null} - Key entry
+   */
+  findKey(token) {
+    return this.keys.find(entry => safeEqual(entry.key, token)) || null;
+  }
+
+  /**
+   * Take one token from a key's bucket
+   * @param {Object} entry - Key entry
+   * @returns {number} - 0 if allowed, otherwise seconds until a token is available
+   */
+  take(entry) {
+    const now = Date.now();
+    const bucket = this.buckets.get(entry.id) || { tokens: entry.burst, updatedAt: now };
+
+    bucket.tokens = Math.min(entry.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * entry.refillPerSecond);
+    bucket.updatedAt = now;
+    this.buckets.set(entry.id, bucket);
+
+    if (bucket.tokens < 1) {
+      return Math.ceil((1 - bucket.tokens) / entry.refillPerSecond);
+    }
+    bucket.tokens -= 1;
+    return 0;
+  }
+
+  /**
+   * Express middleware: authenticate the request and apply the key's rate limit.
+   * Sets req.apiKey to the key entry (or null when authentication is off).
+   * @returns {Function} - Middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      req.apiKey = null;
+      if (!this.enabled) {
+        return next();
+      }
+
+      const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+      const entry = match && this.findKey(match[1]);
+      if (!entry) {
+        this.logger.warn(`Rejected ${req.method} ${req.originalUrl}: ${match ? 'unknown API key' : 'missing bearer token'}`);
+        return next(new UnauthorizedError(match ? 'Unknown API key' : 'Missing bearer token'));
+      }
+
+      const retryAfter = this.take(entry);
+      if (retryAfter > 0) {
+        this.logger.warn(`Rate limited key ${entry.id}: ${req.method} ${req.originalUrl}`);
+        res.set('Retry-After', String(retryAfter));
+        return next(new RateLimitedError(entry.id, retryAfter));
+      }
+
+      req.apiKey = entry;
+      this.logger.debug(`Key ${entry.id}: ${req.method} ${req.originalUrl}`);
+      next();
+    };
+  }
+
+  /**
+   * Express middleware for the /api/sessions/:sessionId routes: another key's
+   * session is reported as not found, so its ID gives nothing away.
+   * Unknown sessions are left to the route.
+   * @param {Function} getSession - Looks up a session by ID
+   * @returns {Function} - Middleware
+   */
+  sessionMiddleware(getSession) {
+    return (req, res, next) => {
+      const { sessionId } = req.params;
+      const session = getSession(sessionId);
+      if (session && !ownsSession(req.apiKey, session)) {
+        this.logger.warn(`Key ${req.apiKey.id} asked for session ${sessionId} owned by ${session.apiKeyId || 'no key'}`);
+        return next(new SessionNotFoundError(sessionId));
+      }
+      next();
+    };
+  }
+
+  /**
+   * Express middleware for the admin routes: only the admin key gets through,
+   * and there is no way in at all when no admin key is configured.
+   * @returns {Function} - Middleware
+   */
+  adminMiddleware() {
+    return (req, res, next) => {
+      if (!this.options.adminKey) {
+        return next(new AdminDisabledError());
+      }
+
+      const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+      if (!match || !safeEqual(this.options.adminKey, match[1])) {
+        this.logger.warn(`Rejected admin request ${req.method} ${req.originalUrl}`);
+        return next(new UnauthorizedError(match ? 'Invalid admin key' : 'Missing bearer token'));
+      }
+
+      this.logger.info(`Admin: ${req.method} ${req.originalUrl}`);
+      next();
+    };
+  }
+}
+
+module.exports = {
+  ApiKeyAuth,
+  ownsSession,
+  DEFAULT_LIMITS
+};
@@ -0,0 +1,200 @@
+/**
+ * Diagnostics
+ *
+ * Readiness checks for everything a run depends on outside this process: the
+ * q CLI, the wrapper script, the Amazon Q profile, a writable temp directory
+ * and the IVR. Used by /health/ready and by the client-side doctor command.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const axios = require('axios');
+const { spawn } = require('child_process');
+
+// Amazon Q profile names, which are also directory names under profilesDir
+const PROFILE_NAME = /^[\w-]+$/;
+
+/**
+ * Run one check and time it
+ * @param {string} name - Check name
+ * @param {Function} check - Async function returning a message, or throwing on failure
+ * @returns {Promise<Object>} - { name, status, message, durationMs }
+ */
+async function runCheck(name, check) {
+  const startedAt = Date.now();
+  try {
+    const result = await check();
+    const skipped = result && result.skipped;
+    return { name, status: skipped ? 'skip' : 'pass', message: skipped ? result.message : result, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return { name, status: 'fail', message: error.message, durationMs: Date.now() - startedAt };
+  }
+}
+
+/**
+ * Summarize a list of check results
+ * @param {Array} checks - Check results
+ * @returns {Object} - { status, checks }, status 'pass' only when nothing failed
+ */
+function summarize(checks) {
+  return { status: checks.some(check => check.status === 'fail') ? 'fail' : 'pass', checks };
+}
+
+class Diagnostics {
+  /**
+   * @param {Object} options - Diagnostics options
+   * @param {string} options.qCommand - q CLI executable
+   * @param {string} options.wrapperPath - Wrapper script the amazon-q provider runs
+   * @param {string} options.profilesDir - Directory holding one folder per Amazon Q profile
+   * @param {string} options.tmpDir - Directory the provider and wrapper write prompt files to
+   * @param {string} options.ivrBaseUrl - IVR to probe (the check is skipped without one)
+   * @param {number} options.timeout - Per-check timeout in ms
+   * @param {Object} logger - Winston logger
+   */
+  constructor(options = {}, logger = console) {
+    this.options = {
+      qCommand: 'q',
+      wrapperPath: path.join(__dirname, '..', 'q_wrapper_with_history.sh'),
+      profilesDir: path.join(os.homedir(), '.aws', 'amazonq', 'profiles'),
+      tmpDir: os.tmpdir(),
+      ivrBaseUrl: null,
+      timeout: 5000,
+      ...options
+    };
+    this.logger = logger;
+  }
+
+  /**
+   * Check that the q CLI is on the PATH and runs
+   * @returns {Promise<string>} - q version
+   */
+  checkQCli() {
+    const { qCommand, timeout } = this.options;
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(qCommand, ['--version'], { stdio: ['ignore', 'pipe', 'pipe'] });
+      let output = '';
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`${qCommand} --version did not finish within ${timeout}ms`));
+      }, timeout);
+
+      child.stdout.on('data', data => {
+        output += data.toString();
+      });
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(new Error(error.code === 'ENOENT' ? `${qCommand} not found on PATH` : `Failed to run ${qCommand}: ${error.message}`));
+      });
+      child.on('close', code => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve(output.trim() || `${qCommand} is installed`);
+        } else {
+          reject(new Error(`${qCommand} --version exited with code ${code}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Check that the wrapper script exists and is executable
+   * @returns {Promise<string>} - Wrapper path
+   */
+  async checkWrapper() {
+    const { wrapperPath } = this.options;
+    try {
+      await fs.promises.access(wrapperPath, fs.constants.X_OK);
+    } catch (error) {
+      throw new Error(error.code === 'ENOENT' ? `${wrapperPath} does not exist` : `${wrapperPath} is not executable (chmod +x it)`);
+    }
+    return `${wrapperPath} is executable`;
+  }
+
+  /**
+   * Check that an Amazon Q profile exists
+   * @param {string} profile - Profile name
+   * @returns {Promise<string>} - Profile directory
+   */
+  async checkProfile(profile) {
+    // A profile is a single directory name; anything else could probe outside profilesDir
+    if (!PROFILE_NAME.test(profile)) {
+      throw new Error(`Invalid profile name ${JSON.stringify(profile)}: use letters, digits, underscores and dashes`);
+    }
+    const profileDir = path.join(this.options.profilesDir, profile);
+    let stats;
+    try {
+      stats = await fs.promises.stat(profileDir);
+    } catch (error) {
+      throw new Error(`Profile ${profile} not found in ${this.options.profilesDir}`);
+    }
+    if (!stats.isDirectory()) {
+      throw new Error(`${profileDir} is not a directory`);
+    }
+    return `Profile ${profile} found at ${profileDir}`;
+  }
+
+  /**
+   * Check that the temp directory can be written to
+   * @returns {Promise<string>} - Temp directory
+   */
+  async checkTmpWritable() {
+    const probe = path.join(this.options.tmpDir, `diagnostics_${process.pid}_${Date.now()}.tmp`);
+    try {
+      await fs.promises.writeFile(probe, 'ok');
+      await fs.promises.unlink(probe);
+    } catch (error) {
+      throw new Error(`Cannot write to ${this.options.tmpDir}: ${error.code || error.message}`);
+    }
+    return `${this.options.tmpDir} is writable`;
+  }
+
+  /**
+   * Check that the IVR answers HTTP at all. Any status counts: a 404 or 405
+   * still proves the host is up.
+   * @returns {Promise<string|Object>} - Status line, or { skipped } with no URL configured
+   */
+  async checkIvrReachable() {
+    const { ivrBaseUrl, timeout } = this.options;
+    if (!ivrBaseUrl) {
+      return { skipped: true, message: 'No IVR base URL configured (set IVR_BASE_URL)' };
+    }
+
+    try {
+      const response = await axios.get(ivrBaseUrl, { timeout, validateStatus: () => true });
+      return `${ivrBaseUrl} answered with HTTP ${response.status}`;
+    } catch (error) {
+      throw new Error(`${ivrBaseUrl} is unreachable: ${error.code || error.message}`);
+    }
+  }
+
+  /**
+   * Run every check
+   * @param {Object} options - Run options
+   * @param {string} options.profile - Amazon Q profile to look for
+   * @returns {Promise<Object>} - { status, checks }
+   */
+  async run({ profile = 'IVR_tester' } = {}) {
+    const checks = [
+      await runCheck('qCli', () => this.checkQCli()),
+      await runCheck('wrapperExecutable', () => this.checkWrapper()),
+      await runCheck('profile', () => this.checkProfile(profile)),
+      await runCheck('tmpWritable', () => this.checkTmpWritable()),
+      await runCheck('ivrReachable', () => this.checkIvrReachable())
+    ];
+
+    const report = summarize(checks);
+    checks.filter(check => check.status === 'fail').forEach(check => {
+      this.logger.warn(`Readiness check ${check.name} failed: ${check.message}`);
+    });
+    return report;
+  }
+}
+
+module.exports = {
+  Diagnostics,
+  PROFILE_NAME,
+  runCheck,
+  summarize
+};
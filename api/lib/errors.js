@@ -0,0 +1,210 @@
+/**
+ * Session API Errors
+ *
+ * Typed errors raised while handling session messages. Each error carries
+ * the HTTP status and machine-readable code the routes respond with.
+ */
+
+/**
+ * Base class for errors that map to an HTTP response
+ */
+class SessionApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status to respond with
+   * @param {string} code - Machine-readable error code
+   */
+  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR') {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+/**
+ * The requested session doesn't exist (or ended while a message was queued)
+ */
+class SessionNotFoundError extends SessionApiError {
+  constructor(sessionId) {
+    super(`Session not found: ${sessionId}`, 404, 'SESSION_NOT_FOUND');
+    this.sessionId = sessionId;
+  }
+}
+
+/**
+ * A request didn't match the OpenAPI contract, or named something that doesn't exist
+ */
+class ValidationError extends SessionApiError {
+  constructor(message, errors = []) {
+    super(message, 400, 'VALIDATION_ERROR');
+    if (errors.length > 0) {
+      this.details = { errors };
+    }
+  }
+}
+
+/**
+ * No route matches the request
+ */
+class RouteNotFoundError extends SessionApiError {
+  constructor(method, path) {
+    super(`No route for ${method} ${path}`, 404, 'ROUTE_NOT_FOUND');
+  }
+}
+
+/**
+ * A fork or rewind pointed outside the session's message history
+ */
+class InvalidMessageIndexError extends SessionApiError {
+  constructor(messageIndex, messageCount) {
+    super(`messageIndex must be an integer between 0 and ${messageCount}, got ${messageIndex}`, 400, 'INVALID_MESSAGE_INDEX');
+    this.messageIndex = messageIndex;
+  }
+}
+
+/**
+ * Too many messages are already waiting on one session
+ */
+class QueueFullError extends SessionApiError {
+  constructor(sessionId, maxPending) {
+    super(`Session ${sessionId} already has ${maxPending} pending messages`, 429, 'QUEUE_FULL');
+    this.sessionId = sessionId;
+  }
+}
+
+/**
+ * A provider call failed for a reason not covered by a more specific error
+ */
+class ProviderError extends SessionApiError {
+  constructor(message, statusCode = 502, code = 'PROVIDER_ERROR') {
+    super(message, statusCode, code);
+  }
+}
+
+/**
+ * A provider call ran longer than its timeout
+ */
+class ProviderTimeoutError extends ProviderError {
+  constructor(timeout) {
+    super(`Provider did not respond within ${timeout}ms`, 504, 'PROVIDER_TIMEOUT');
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * The q CLI (or the wrapper script) isn't installed or can't be executed
+ */
+class CliNotFoundError extends ProviderError {
+  constructor(detail) {
+    super(`Amazon Q CLI is not available: ${detail}`, 503, 'CLI_NOT_FOUND');
+  }
+}
+
+/**
+ * A provider's server-side configuration (e.g. its rules file) can't be used
+ */
+class ProviderConfigError extends ProviderError {
+  constructor(detail) {
+    super(`Provider is misconfigured: ${detail}`, 503, 'PROVIDER_MISCONFIGURED');
+  }
+}
+
+/**
+ * The wrapper script exited with a non-zero status
+ */
+class CliExitError extends ProviderError {
+  constructor(exitCode, stderr = '') {
+    super(`Wrapper script exited with code ${exitCode}${stderr ? `: ${stderr.trim()}` : ''}`, 502, 'CLI_EXIT');
+    this.exitCode = exitCode;
+    this.stderr = stderr;
+  }
+}
+
+/**
+ * The provider finished but produced no usable output
+ */
+class EmptyResponseError extends ProviderError {
+  constructor(provider) {
+    super(`Provider ${provider} returned an empty response`, 424, 'EMPTY_RESPONSE');
+  }
+}
+
+/**
+ * A structured-mode reply still didn't validate after the retry
+ */
+class StructuredResponseError extends SessionApiError {
+  constructor(reason, response, rejected = []) {
+    super(`Model reply is not a valid structured action: ${reason}`, 422, 'INVALID_STRUCTURED_RESPONSE');
+    this.details = { reason, response, rejected };
+  }
+}
+
+/**
+ * Replay mode found no recorded response for a request
+ */
+class CacheMissError extends SessionApiError {
+  constructor(key) {
+    super(`No recorded response for this request (cache key ${key})`, 424, 'CACHE_MISS');
+    this.details = { key };
+  }
+}
+
+/**
+ * The request had no bearer token, or one that doesn't match a configured key
+ */
+class UnauthorizedError extends SessionApiError {
+  constructor(reason) {
+    super(reason, 401, 'UNAUTHORIZED');
+  }
+}
+
+/**
+ * Admin routes were called while no admin key is configured
+ */
+class AdminDisabledError extends SessionApiError {
+  constructor() {
+    super('Admin routes are disabled; set ADMIN_API_KEY to enable them', 403, 'ADMIN_DISABLED');
+  }
+}
+
+/**
+ * An API key used up its request budget
+ */
+class RateLimitedError extends SessionApiError {
+  constructor(keyId, retryAfter) {
+    super(`Rate limit exceeded for API key ${keyId}, retry in ${retryAfter}s`, 429, 'RATE_LIMITED');
+    this.details = { retryAfter };
+  }
+}
+
+/**
+ * An API key already has as many sessions open as it is allowed
+ */
+class SessionLimitError extends SessionApiError {
+  constructor(keyId, maxSessions) {
+    super(`API key ${keyId} already has ${maxSessions} open sessions`, 429, 'SESSION_LIMIT');
+    this.details = { maxSessions };
+  }
+}
+
+module.exports = {
+  SessionApiError,
+  SessionNotFoundError,
+  ValidationError,
+  RouteNotFoundError,
+  InvalidMessageIndexError,
+  QueueFullError,
+  ProviderError,
+  ProviderTimeoutError,
+  CliNotFoundError,
+  ProviderConfigError,
+  CliExitError,
+  EmptyResponseError,
+  StructuredResponseError,
+  CacheMissError,
+  UnauthorizedError,
+  AdminDisabledError,
+  RateLimitedError,
+  SessionLimitError
+};
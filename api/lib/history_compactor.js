@@ -0,0 +1,152 @@
+/**
+ * History Compactor
+ *
+ * Keeps session history within a token budget before it goes into a prompt.
+ * Works on whole exchanges: the first (greeting/menu) exchange and the latest
+ * turns are kept verbatim, and the turns in between are condensed into a
+ * "path so far" summary of the states visited and the digits entered.
+ */
+
+const { FixedIvrStateTracker, IVR_STATES } = require('../../lib/ivr_state_tracker_fixed');
+const { formatHistory } = require('./prompt_templates');
+
+/**
+ * Rough token estimate for prompt text (about 4 characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Group messages into user/assistant exchanges
+ * @param {Array} messages - Session messages
+ * @returns {Array} - Exchanges as [userMsg, assistantMsg] pairs
+ */
+function toExchanges(messages) {
+  const exchanges = [];
+
+  for (let i = 0; i < messages.length - 1; i++) {
+    if (messages[i].role === 'user' && messages[i + 1].role === 'assistant') {
+      exchanges.push([messages[i], messages[i + 1]]);
+      i++;
+    }
+  }
+
+  return exchanges;
+}
+
+/**
+ * List the last `limit` items, marking any left out with "..."
+ * @param {Array} items - Items in order
+ * @param {number} limit - Most items to list
+ * @returns {string} - Comma-separated list
+ */
+function listLatest(items, limit) {
+  return items.length > limit ? ['...', ...items.slice(items.length - limit)].join(', ') : items.join(', ');
+}
+
+/**
+ * Summarize condensed exchanges as the states visited and the input given
+ * @param {Array} exchanges - Exchanges being condensed
+ * @param {number} [limit] - Most states and inputs to list; older ones are left out
+ * @returns {string} - Path so far summary
+ */
+function summarizeExchanges(exchanges, limit = Infinity) {
+  const tracker = new FixedIvrStateTracker(() => {});
+  const states = [];
+  const inputs = [];
+
+  exchanges.forEach(([userMsg, assistantMsg]) => {
+    const state = tracker.updateState(userMsg.content);
+    if (state !== IVR_STATES.UNKNOWN && states[states.length - 1] !== state) {
+      states.push(state);
+    }
+
+    // Structured replies carry the parsed action; plain replies are the action itself
+    const action = assistantMsg.action;
+    const reply = action ? action.value : assistantMsg.content.trim();
+    if (action ? action.actionType === 'dtmf' : /^[0-9*#]+$/.test(reply)) {
+      inputs.push(reply);
+    } else if (action && action.actionType === 'hangup') {
+      inputs.push('hang up');
+    } else if (reply) {
+      // Free-text replies can be long; the summary only needs to show what was said
+      inputs.push(`"${reply.length > 40 ? `${reply.substring(0, 40)}...` : reply}"`);
+    }
+  });
+
+  const parts = [`${exchanges.length} earlier exchanges condensed`];
+  if (states.length && limit > 0) {
+    parts.push(`states visited: ${listLatest(states, limit).replace(/, /g, ' -> ')}`);
+  }
+  if (inputs.length && limit > 0) {
+    parts.push(`input entered: ${listLatest(inputs, limit)}`);
+  }
+  return `${parts.join('; ')}.`;
+}
+
+class HistoryCompactor {
+  /**
+   * @param {Object} options - Compaction options
+   * @param {number} options.maxTokens - Token budget for the formatted history
+   * @param {number} options.keepTurns - Latest exchanges always kept verbatim
+   * @param {Object} logger - Winston logger
+   */
+  constructor(options = {}, logger = console) {
+    this.options = {
+      maxTokens: 2000,
+      keepTurns: 4,
+      ...options
+    };
+    this.logger = logger;
+  }
+
+  /**
+   * Compact a session history to fit the token budget
+   * @param {string} sessionId - Session ID (for logging)
+   * @param {Array} messages - Messages exchanged before the current one
+   * @returns {Array} - Messages to render; condensed turns become one { role: 'summary' } entry
+   */
+  compact(sessionId, messages) {
+    const tokens = estimateTokens(formatHistory(messages));
+    if (tokens <= this.options.maxTokens) {
+      return messages.slice();
+    }
+
+    const exchanges = toExchanges(messages);
+    const [first, ...rest] = exchanges;
+    const keepTurns = Math.min(this.options.keepTurns, rest.length);
+    const condensed = rest.slice(0, rest.length - keepTurns);
+    const kept = rest.slice(rest.length - keepTurns).flat();
+    let limit = condensed.length;
+    let compacted;
+
+    // The kept turns never change; list fewer of the oldest states and inputs until the summary fits
+    do {
+      compacted = [
+        ...(first || []),
+        ...(condensed.length ? [{ role: 'summary', content: summarizeExchanges(condensed, limit) }] : []),
+        ...kept
+      ];
+      limit--;
+    } while (limit >= 0 && estimateTokens(formatHistory(compacted)) > this.options.maxTokens);
+
+    const compactedTokens = estimateTokens(formatHistory(compacted));
+    const droppedChars = formatHistory(messages).length - formatHistory(compacted).length;
+    this.logger.info(`Compacted history for session ${sessionId}: condensed ${condensed.length} of ${exchanges.length} exchanges, dropped ${droppedChars} chars (~${tokens - compactedTokens} tokens)`);
+
+    if (compactedTokens > this.options.maxTokens) {
+      this.logger.warn(`History for session ${sessionId} is still ~${compactedTokens} tokens after compaction (budget ${this.options.maxTokens})`);
+    }
+
+    return compacted;
+  }
+}
+
+module.exports = {
+  HistoryCompactor,
+  estimateTokens,
+  summarizeExchanges
+};
@@ -0,0 +1,465 @@
+/**
+ * LLM Providers
+ *
+ * Pluggable backends for the Amazon Q Session API. Every provider takes the
+ * full prompt rendered by the server (see prompt_templates.js) and resolves
+ * to the model's raw text response.
+ */
+
+const { spawn } = require('child_process');
+const axios = require('axios');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { actionFromText } = require('./structured_action');
+const { validateSchema } = require('./openapi');
+const {
+  ValidationError,
+  ProviderError,
+  ProviderTimeoutError,
+  CliNotFoundError,
+  ProviderConfigError,
+  CliExitError
+} = require('./errors');
+
+/**
+ * Base class for all providers
+ */
+class LlmProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {Object} logger - Winston logger
+   */
+  constructor(options = {}, logger = console) {
+    this.options = options;
+    this.logger = logger;
+  }
+
+  /**
+   * Get a response for the next message in a session
+   * @param {Object} request - Request details
+   * @param {string} request.sessionId - Session ID
+   * @param {Object} request.session - Session record
+   * @param {Array} request.history - Messages exchanged before this one
+   * @param {string} request.message - Raw IVR prompt being answered
+   * @param {string} request.prompt - Full prompt rendered from the session's template
+   * @param {Function} [request.onChunk] - Called with partial output as it arrives
+   * @param {string} [request.responseFormat] - 'text' (default) or 'json' for structured actions
+   * @returns {Promise<string>} - Raw response text
+   */
+  async complete(request) {
+    throw new Error(`Provider ${this.constructor.name} does not implement complete()`);
+  }
+
+  /**
+   * Describe the provider for session info responses
+   * @returns {Object} - Non-sensitive provider details
+   */
+  describe() {
+    return { name: this.name };
+  }
+}
+
+/**
+ * Amazon Q CLI provider - runs q_wrapper_with_history.sh with the session profile
+ */
+class AmazonQCliProvider extends LlmProvider {
+  constructor(options = {}, logger = console) {
+    super({
+      wrapperPath: path.join(__dirname, '..', 'q_wrapper_with_history.sh'),
+      timeout: 60000,
+      ...options
+    }, logger);
+    this.name = 'amazon-q';
+  }
+
+  async complete({ sessionId, session, prompt, onChunk }) {
+    // Write the rendered prompt to a temporary file for the wrapper
+    const promptFile = path.join(os.tmpdir(), `q_prompt_${sessionId}.txt`);
+    await fs.promises.writeFile(promptFile, prompt);
+    this.logger.debug(`Wrote prompt to ${promptFile}`);
+
+    try {
+      const output = await this.runWrapper([session.profile, '--prompt-file', promptFile], onChunk);
+      return output.trim();
+    } finally {
+      // Clean up temp file
+      try {
+        fs.unlinkSync(promptFile);
+      } catch (e) {
+        this.logger.warn(`Failed to delete temp prompt file: ${e.message}`);
+      }
+    }
+  }
+
+  /**
+   * Run the wrapper script without blocking the event loop
+   * @param {Array} args - Wrapper arguments
+   * @param {Function} [onChunk] - Called with raw q output as it arrives
+   * @returns {Promise<string>} - Wrapper stdout
+   */
+  runWrapper(args, onChunk) {
+    const { wrapperPath, timeout } = this.options;
+
+    return new Promise((resolve, reject) => {
+      this.logger.debug(`Executing wrapper script: ${wrapperPath} ${args.map(arg => `"${arg}"`).join(' ')}`);
+
+      // fd 3 carries the live q output when streaming. The wrapper gets its own
+      // process group so a timeout can stop q along with it.
+      const stdio = onChunk ? ['ignore', 'pipe', 'pipe', 'pipe'] : ['ignore', 'pipe', 'pipe'];
+      const child = spawn(wrapperPath, args, { stdio, detached: true });
+      let stdout = '';
+      let stderr = '';
+      let settled = false;
+
+      const settle = (error, output) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(output);
+        }
+      };
+
+      // q keeps the pipes open after the wrapper dies, so don't wait for 'close'
+      const timer = setTimeout(() => {
+        this.logger.warn(`Wrapper script ran past ${timeout}ms, stopping it`);
+        try {
+          process.kill(-child.pid, 'SIGTERM');
+        } catch (error) {
+          if (error.code !== 'ESRCH') {
+            this.logger.warn(`Failed to stop wrapper script: ${error.message}`);
+          }
+        }
+        settle(new ProviderTimeoutError(timeout));
+      }, timeout);
+
+      child.stdout.on('data', chunk => {
+        stdout += chunk;
+      });
+
+      child.stderr.on('data', chunk => {
+        stderr += chunk;
+      });
+
+      if (onChunk) {
+        child.stdio[3].on('data', chunk => {
+          // Strip ANSI color codes like the wrapper does
+          const text = chunk.toString().replace(/\x1B\[[0-9;]*[mK]/g, '');
+          if (text && !settled) {
+            onChunk(text);
+          }
+        });
+      }
+
+      child.on('error', error => {
+        if (error.code === 'ENOENT' || error.code === 'EACCES') {
+          settle(new CliNotFoundError(`${wrapperPath} (${error.code})`));
+        } else {
+          settle(new ProviderError(`Failed to run wrapper script: ${error.message}`));
+        }
+      });
+
+      child.on('close', code => {
+        if (code === 127) {
+          settle(new CliNotFoundError(stderr.trim() || 'q not found on PATH'));
+        } else if (code !== 0) {
+          settle(new CliExitError(code, stderr));
+        } else {
+          settle(null, stdout);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * OpenAI-compatible provider - calls any /chat/completions endpoint
+ */
+class OpenAiCompatibleProvider extends LlmProvider {
+  constructor(options = {}, logger = console) {
+    super({
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      temperature: 0,
+      timeout: 60000,
+      systemPrompt: 'You are navigating a phone IVR system on behalf of a tester.',
+      ...options
+    }, logger);
+    this.name = 'openai';
+  }
+
+  /**
+   * Build the chat messages array for a request
+   * @param {string} prompt - Full rendered prompt
+   * @returns {Array} - Chat completion messages
+   */
+  buildMessages(prompt) {
+    return [
+      { role: 'system', content: this.options.systemPrompt },
+      { role: 'user', content: prompt }
+    ];
+  }
+
+  async complete({ prompt, onChunk }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.options.apiKey) {
+      headers.Authorization = `Bearer ${this.options.apiKey}`;
+    }
+
+    this.logger.debug(`Calling chat completions at ${this.options.baseUrl} with model ${this.options.model}`);
+
+    let response;
+    try {
+      response = await axios.post(
+        `${this.options.baseUrl.replace(/\/$/, '')}/chat/completions`,
+        {
+          model: this.options.model,
+          temperature: this.options.temperature,
+          messages: this.buildMessages(prompt),
+          stream: Boolean(onChunk)
+        },
+        { headers, timeout: this.options.timeout, responseType: onChunk ? 'stream' : 'json' }
+      );
+    } catch (error) {
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        throw new ProviderTimeoutError(this.options.timeout);
+      }
+      const status = error.response ? ` (HTTP ${error.response.status})` : '';
+      throw new ProviderError(`Chat completions request failed${status}: ${error.message}`);
+    }
+
+    if (onChunk) {
+      return this.readStream(response.data, onChunk);
+    }
+
+    const choice = response.data.choices && response.data.choices[0];
+    return choice && choice.message ? (choice.message.content || '').trim() : '';
+  }
+
+  /**
+   * Read a streamed chat completion, forwarding each content delta
+   * @param {Stream} stream - Server-Sent Events response stream
+   * @param {Function} onChunk - Called with each content delta
+   * @returns {Promise<string>} - Full response text
+   */
+  readStream(stream, onChunk) {
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      let content = '';
+
+      stream.on('data', data => {
+        buffer += data.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        lines.forEach(line => {
+          const payload = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !payload || payload === '[DONE]') {
+            return;
+          }
+
+          try {
+            const delta = JSON.parse(payload).choices[0].delta || {};
+            if (delta.content) {
+              content += delta.content;
+              onChunk(delta.content);
+            }
+          } catch (e) {
+            this.logger.warn(`Skipping unparseable stream line: ${payload.substring(0, 100)}`);
+          }
+        });
+      });
+
+      stream.on('end', () => resolve(content.trim()));
+      stream.on('error', error => reject(new ProviderError(`Chat completions stream failed: ${error.message}`)));
+    });
+  }
+
+  describe() {
+    return { name: this.name, baseUrl: this.options.baseUrl, model: this.options.model };
+  }
+}
+
+/**
+ * Canned response provider - answers from local match rules, no model needed
+ */
+class CannedResponseProvider extends LlmProvider {
+  constructor(options = {}, logger = console) {
+    super({
+      responsesFile: process.env.CANNED_RESPONSES_FILE || path.join(__dirname, '..', 'canned_responses.json'),
+      ...options
+    }, logger);
+    this.name = 'canned';
+
+    // Inline rules take precedence over the responses file
+    if (!this.options.rules) {
+      const fileContent = this.loadResponsesFile();
+      this.options.rules = fileContent.rules || [];
+      if (this.options.defaultResponse === undefined) {
+        this.options.defaultResponse = fileContent.defaultResponse;
+      }
+    }
+  }
+
+  /**
+   * Read the rules file
+   * @returns {Object} - { rules, defaultResponse }
+   */
+  loadResponsesFile() {
+    const { responsesFile } = this.options;
+    let fileContent;
+    try {
+      fileContent = JSON.parse(fs.readFileSync(responsesFile, 'utf8'));
+    } catch (error) {
+      // The path and parser message stay in the server log, not the response
+      this.logger.error(`Could not load canned responses from ${responsesFile}: ${error.message}`);
+      throw new ProviderConfigError('canned responses file is missing or not valid JSON; check CANNED_RESPONSES_FILE');
+    }
+    if (!fileContent || typeof fileContent !== 'object' || (fileContent.rules !== undefined && !Array.isArray(fileContent.rules))) {
+      this.logger.error(`Canned responses file ${responsesFile} must be an object with a rules array`);
+      throw new ProviderConfigError('canned responses file must be an object with a rules array; check CANNED_RESPONSES_FILE');
+    }
+    return fileContent;
+  }
+
+  async complete({ message, onChunk, responseFormat }) {
+    let response = this.match(message);
+    if (responseFormat === 'json') {
+      response = JSON.stringify(actionFromText(response, 'Matched a canned response rule'));
+    }
+
+    if (onChunk) {
+      onChunk(response);
+    }
+    return response;
+  }
+
+  /**
+   * Find the response for a message
+   * @param {string} message - Message to match
+   * @returns {string} - Matching response, or the default response
+   */
+  match(message) {
+    const lowerMessage = message.toLowerCase();
+
+    for (const rule of this.options.rules) {
+      const matched = rule.regex
+        ? new RegExp(rule.regex, 'i').test(message)
+        : lowerMessage.includes(String(rule.contains).toLowerCase());
+
+      if (matched) {
+        this.logger.debug(`Canned rule matched: ${rule.regex || rule.contains}`);
+        return rule.response;
+      }
+    }
+
+    return this.options.defaultResponse || 'Hang Up';
+  }
+
+  describe() {
+    return { name: this.name, rules: this.options.rules.length };
+  }
+}
+
+// Registry of available providers
+const PROVIDERS = {
+  'amazon-q': AmazonQCliProvider,
+  'openai': OpenAiCompatibleProvider,
+  'canned': CannedResponseProvider
+};
+
+const TIMEOUT_OPTION = { type: 'integer', minimum: 1000, maximum: 300000 };
+
+// Options a client may set per session, by provider. Everything else (wrapperPath,
+// baseUrl, apiKey, responsesFile, ...) comes from the server's environment only.
+const SESSION_OPTIONS = {
+  'amazon-q': { timeout: TIMEOUT_OPTION },
+  'openai': {
+    model: { type: 'string', minLength: 1 },
+    temperature: { type: 'number', minimum: 0, maximum: 2 },
+    timeout: TIMEOUT_OPTION
+  },
+  'canned': {}
+};
+
+/**
+ * Look up a provider class by name
+ * @param {string} name - Provider name
+ * @returns {Function} - Provider class
+ */
+function providerClass(name) {
+  if (!Object.prototype.hasOwnProperty.call(PROVIDERS, name)) {
+    const error = new Error(`Unknown provider "${name}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+    error.code = 'UNKNOWN_PROVIDER';
+    throw error;
+  }
+  return PROVIDERS[name];
+}
+
+/**
+ * Check the provider options a client sent for a session
+ * @param {string} name - Provider name
+ * @param {Object} options - Options from the request
+ * @returns {Object} - The options, once every one is allowed and in range
+ */
+function checkSessionOptions(name, options = {}) {
+  providerClass(name);
+  const allowed = SESSION_OPTIONS[name];
+  const errors = [];
+
+  Object.entries(options).forEach(([option, value]) => {
+    const at = `providerOptions.${option}`;
+    if (!Object.prototype.hasOwnProperty.call(allowed, option)) {
+      const names = Object.keys(allowed);
+      errors.push({ path: at, message: `is not a session option for provider ${name}${names.length > 0 ? ` (allowed: ${names.join(', ')})` : ''}` });
+    } else {
+      errors.push(...validateSchema({}, allowed[option], value, at));
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid provider options: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`, errors);
+  }
+  return { ...options };
+}
+
+/**
+ * Keep only the session options a provider allows, dropping anything else
+ * @param {string} name - Provider name
+ * @param {Object} options - Stored options
+ * @returns {Object} - Allowed options
+ */
+function pickSessionOptions(name, options = {}) {
+  const allowed = SESSION_OPTIONS[name] || {};
+  return Object.fromEntries(Object.entries(options).filter(([option]) => Object.prototype.hasOwnProperty.call(allowed, option)));
+}
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name
+ * @param {Object} options - Provider options
+ * @param {Object} logger - Winston logger
+ * @returns {LlmProvider} - Provider instance
+ */
+function createProvider(name, options = {}, logger = console) {
+  const ProviderClass = providerClass(name);
+  return new ProviderClass(options, logger);
+}
+
+module.exports = {
+  LlmProvider,
+  AmazonQCliProvider,
+  OpenAiCompatibleProvider,
+  CannedResponseProvider,
+  PROVIDERS,
+  SESSION_OPTIONS,
+  checkSessionOptions,
+  pickSessionOptions,
+  createProvider
+};
@@ -0,0 +1,110 @@
+/**
+ * Message Queue
+ *
+ * Runs provider calls in FIFO order per session while capping how many
+ * calls run at once across all sessions.
+ */
+
+const { QueueFullError } = require('./errors');
+
+class MessageQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Maximum calls running at once
+   * @param {number} options.maxPending - Maximum queued calls per session
+   */
+  constructor(options = {}) {
+    this.options = {
+      concurrency: 4,
+      maxPending: 10,
+      ...options
+    };
+
+    this.running = 0;
+    this.waiting = [];
+    this.sessionQueues = new Map();
+  }
+
+  /**
+   * Queue a task behind any earlier tasks for the same session
+   * @param {string} sessionId - Session the task belongs to
+   * @param {Function} task - Async function to run
+   * @returns {Promise<any>} - Result of the task
+   */
+  enqueue(sessionId, task) {
+    const entry = this.sessionQueues.get(sessionId) || { pending: 0, tail: Promise.resolve() };
+
+    if (entry.pending >= this.options.maxPending) {
+      return Promise.reject(new QueueFullError(sessionId, this.options.maxPending));
+    }
+
+    entry.pending++;
+    this.sessionQueues.set(sessionId, entry);
+
+    const run = entry.tail
+      .then(() => this.acquire())
+      .then(() => task())
+      .finally(() => {
+        this.release();
+        entry.pending--;
+        if (entry.pending === 0) {
+          this.sessionQueues.delete(sessionId);
+        }
+      });
+
+    // A failed task must not block the ones queued behind it
+    entry.tail = run.catch(() => {});
+
+    return run;
+  }
+
+  /**
+   * Wait for a free concurrency slot
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    if (this.running < this.options.concurrency) {
+      this.running++;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Hand the slot to the next waiting task, or free it
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.running--;
+    }
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} - Running, waiting and per-session pending counts
+   */
+  getStats() {
+    return {
+      running: this.running,
+      waiting: this.waiting.length,
+      concurrency: this.options.concurrency,
+      sessionsWithPending: this.sessionQueues.size
+    };
+  }
+
+  /**
+   * Get the number of queued or running tasks for a session
+   * @param {string} sessionId - Session ID
+   * @returns {number} - Pending task count
+   */
+  getPending(sessionId) {
+    const entry = this.sessionQueues.get(sessionId);
+    return entry ? entry.pending : 0;
+  }
+}
+
+module.exports = MessageQueue;
@@ -0,0 +1,170 @@
+/**
+ * Metrics
+ *
+ * Minimal Prometheus metrics (counters, gauges and histograms) rendered in
+ * the text exposition format for the /metrics route.
+ */
+
+/**
+ * Escape a label value for the text format
+ * @param {string} value - Label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set as {a="1",b="2"}
+ * @param {Object} labels - Label values
+ * @returns {string} - Formatted labels (empty when there are none)
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Base class holding one value series per label set
+ */
+class Metric {
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.series = new Map();
+  }
+
+  /**
+   * Get (or create) the series for a label set
+   * @param {Object} labels - Label values
+   * @param {Function} create - Builds a new series value
+   * @returns {Object} - Series entry { labels, value }
+   */
+  getSeries(labels, create) {
+    const key = JSON.stringify(Object.entries(labels).sort());
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, value: create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Render the sample lines for this metric
+   * @returns {Array} - Lines
+   */
+  samples() {
+    return Array.from(this.series.values()).map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.samples()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super(name, help, 'counter');
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} labels - Label values
+   * @param {number} amount - Amount to add
+   */
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels, () => 0).value += amount;
+  }
+}
+
+/**
+ * Gauge read at scrape time from a collect function returning [{ labels, value }]
+ */
+class Gauge extends Metric {
+  constructor(name, help, collect) {
+    super(name, help, 'gauge');
+    this.collect = collect;
+  }
+
+  samples() {
+    return this.collect().map(({ labels = {}, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super(name, help, 'histogram');
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 })).value;
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  samples() {
+    const lines = [];
+    this.series.forEach(({ labels, value }) => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    });
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   * @returns {string} - Exposition text
+   */
+  render() {
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+// Content type for the text exposition format
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  CONTENT_TYPE
+};
@@ -0,0 +1,251 @@
+/**
+ * OpenAPI Validation
+ *
+ * Loads the OpenAPI document and checks request and response bodies against
+ * it. Supports the subset of JSON Schema the document uses: type, nullable,
+ * enum, properties, required, additionalProperties, items, oneOf, minimum,
+ * maximum, minLength, pattern and local $refs.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { ValidationError } = require('./errors');
+
+/**
+ * Check a value against a schema
+ * @param {Object} spec - OpenAPI document (for resolving $refs)
+ * @param {Object} schema - Schema to check against
+ * @param {any} value - Value to check
+ * @param {string} at - Path of the value, for error messages
+ * @returns {Array} - Errors as { path, message } (empty when valid)
+ */
+function validateSchema(spec, schema, value, at = 'body') {
+  if (schema.$ref) {
+    return validateSchema(spec, resolveRef(spec, schema.$ref), value, at);
+  }
+
+  if (value === null) {
+    return schema.nullable ? [] : [{ path: at, message: 'must not be null' }];
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validateSchema(spec, option, value, at).length === 0);
+    if (matches.length === 1) {
+      return [];
+    }
+    const types = schema.oneOf.map(option => option.type);
+    return [{ path: at, message: types.every(Boolean) ? `must be a ${types.join(' or a ')}` : `must match exactly one of ${types.length} schemas` }];
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    return [{ path: at, message: `must be ${schema.type === 'integer' ? 'an integer' : `a ${schema.type}`}` }];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path: at, message: `must be at most ${schema.maximum}` });
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+  }
+
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path: at, message: `must match ${schema.pattern}` });
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(spec, schema.items, item, `${at}[${i}]`)));
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        errors.push({ path: `${at}.${name}`, message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      if (Object.prototype.hasOwnProperty.call(properties, name)) {
+        errors.push(...validateSchema(spec, properties[name], propertyValue, `${at}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${at}.${name}`, message: 'is not a known field' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(spec, schema.additionalProperties, propertyValue, `${at}.${name}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Check a value's JSON type
+ * @param {string} type - Schema type
+ * @param {any} value - Value to check
+ * @returns {boolean} - True if the value has that type
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Resolve a local $ref such as #/components/schemas/Session
+ * @param {Object} spec - OpenAPI document
+ * @param {string} ref - Reference
+ * @returns {Object} - Referenced object
+ */
+function resolveRef(spec, ref) {
+  const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], spec);
+  if (!target) {
+    throw new Error(`Unresolvable $ref ${ref} in OpenAPI document`);
+  }
+  return target;
+}
+
+class OpenApiValidator {
+  /**
+   * @param {Object} options - Validator options
+   * @param {string} options.file - OpenAPI document
+   * @param {boolean} options.strictResponses - Replace invalid responses with a 500 instead of only logging them
+   * @param {Object} logger - Winston logger
+   */
+  constructor(options = {}, logger = console) {
+    this.options = {
+      file: path.join(__dirname, '..', 'openapi.json'),
+      strictResponses: false,
+      ...options
+    };
+    this.logger = logger;
+    this.spec = JSON.parse(fs.readFileSync(this.options.file, 'utf8'));
+
+    // Turn /api/sessions/{sessionId} into a matcher once, up front
+    this.routes = Object.entries(this.spec.paths).map(([template, item]) => ({
+      template,
+      item,
+      pattern: new RegExp(`^${template.replace(/\{\w+\}/g, '[^/]+')}$`)
+    }));
+  }
+
+  /**
+   * Find the operation for a request
+   * @param {string} method - HTTP method
+   * @param {string} requestPath - Request path (no query string)
+   * @returns {Object|null} - { template, operation }
+   */
+  findOperation(method, requestPath) {
+    const route = this.routes.find(candidate => candidate.pattern.test(requestPath));
+    const operation = route && route.item[method.toLowerCase()];
+    return operation ? { template: route.template, operation } : null;
+  }
+
+  /**
+   * Check a request's body and query parameters
+   * @param {Object} operation - OpenAPI operation
+   * @param {Object} req - Express request
+   */
+  validateRequest(operation, req) {
+    const errors = [];
+
+    (operation.parameters || []).filter(param => param.in === 'query').forEach(param => {
+      const value = req.query[param.name];
+      if (value === undefined) {
+        if (param.required) {
+          errors.push({ path: `query.${param.name}`, message: 'is required' });
+        }
+        return;
+      }
+      errors.push(...validateSchema(this.spec, param.schema, value, `query.${param.name}`));
+    });
+
+    const bodySchema = operation.requestBody && operation.requestBody.content['application/json'];
+    if (bodySchema) {
+      // express.json() leaves an empty object when there is no body
+      const hasBody = req.body && Object.keys(req.body).length > 0;
+      if (hasBody || operation.requestBody.required) {
+        errors.push(...validateSchema(this.spec, bodySchema.schema, req.body || {}));
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(`Invalid request: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`, errors);
+    }
+  }
+
+  /**
+   * Get the JSON schema a response body should match
+   * @param {Object} operation - OpenAPI operation
+   * @param {number} statusCode - Response status
+   * @returns {Object|null} - Schema
+   */
+  responseSchema(operation, statusCode) {
+    let response = operation.responses[String(statusCode)] || operation.responses.default;
+    if (response && response.$ref) {
+      response = resolveRef(this.spec, response.$ref);
+    }
+    const content = response && response.content && response.content['application/json'];
+    return content ? content.schema : null;
+  }
+
+  /**
+   * Express middleware: validate the request, and check JSON responses on the way out.
+   * Requests for paths the document doesn't describe pass through untouched.
+   * @returns {Function} - Middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      const match = this.findOperation(req.method, req.path);
+      if (!match) {
+        return next();
+      }
+
+      const { template, operation } = match;
+      const json = res.json.bind(res);
+      res.json = body => {
+        const schema = this.responseSchema(operation, res.statusCode);
+        const errors = schema ? validateSchema(this.spec, schema, body) : [];
+        if (errors.length === 0) {
+          return json(body);
+        }
+
+        this.logger.error(`Response for ${req.method} ${template} (${res.statusCode}) doesn't match the OpenAPI document: ${JSON.stringify(errors)}`);
+        if (!this.options.strictResponses) {
+          return json(body);
+        }
+        res.status(500);
+        return json({ code: 'INVALID_RESPONSE', message: `Response doesn't match the OpenAPI document`, details: { errors } });
+      };
+
+      try {
+        this.validateRequest(operation, req);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+}
+
+module.exports = {
+  OpenApiValidator,
+  validateSchema
+};
@@ -0,0 +1,219 @@
+/**
+ * Prompt Templates
+ *
+ * Named prompt templates loaded from the templates directory. The server
+ * renders one per message and hands the finished prompt to the provider.
+ *
+ * Templates use {{name}} placeholders and {{#name}}...{{/name}} sections,
+ * which are only rendered when the value is non-empty.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+// Instruction used unless the caller needs a different answer format
+const ACTION_INSTRUCTION = 'Provide ONLY the key or option to press. Do not explain your reasoning. Just give the digit, letter, or exact word to respond with.';
+
+// Placeholders every template can use
+const PLACEHOLDERS = ['prompt', 'history', 'goal', 'testData', 'options', 'instruction'];
+
+/**
+ * Wrap a raw IVR prompt in the "The IVR says ... what next?" framing
+ * @param {string} message - Message to format
+ * @returns {string} - Formatted message
+ */
+function formatIvrPrompt(message) {
+  if (!message.includes('the IVR says') && !message.includes('The IVR says')) {
+    return `The IVR says "${message}" what next?`;
+  }
+  return message;
+}
+
+/**
+ * Format the conversation history as a Human/Amazon Q transcript
+ * @param {Array} messages - Previous session messages (may include compaction summaries)
+ * @returns {string} - Formatted history
+ */
+function formatHistory(messages) {
+  let historyContent = '';
+
+  for (let i = 0; i < messages.length; i++) {
+    const userMsg = messages[i];
+    const assistantMsg = messages[i + 1];
+
+    if (userMsg.role === 'summary') {
+      historyContent += `[Path so far: ${userMsg.content}]\n\n`;
+      continue;
+    }
+
+    // Only complete exchanges go into the transcript
+    if (!assistantMsg || userMsg.role !== 'user' || assistantMsg.role !== 'assistant') {
+      continue;
+    }
+
+    historyContent += `Human: ${formatIvrPrompt(userMsg.content)}\n`;
+    historyContent += `Amazon Q: ${assistantMsg.content}\n\n`;
+  }
+
+  return historyContent.trim();
+}
+
+/**
+ * Format test data as "key = value" pairs
+ * @param {Object} testData - Test data map
+ * @returns {string} - Formatted test data (empty when there is none)
+ */
+function formatTestData(testData) {
+  return Object.entries(testData || {}).map(([key, value]) => `${key} = ${value}`).join('; ');
+}
+
+/**
+ * List the menu options announced in an IVR prompt
+ * @param {string} message - IVR prompt text
+ * @returns {string} - Options as "1: refill a prescription; 2: ..." (empty when none are found)
+ */
+function extractOptions(message) {
+  const options = [];
+  const pattern = /(?:^|[.!?]\s*)((?:to|for|if)\s[^.!?]*?),?\s+press\s+(\d|\*|#|star|pound)/gi;
+  let match;
+
+  while ((match = pattern.exec(message)) !== null) {
+    options.push(`${match[2]}: ${match[1].trim()}`);
+  }
+
+  return options.join('; ');
+}
+
+/**
+ * Render a template with the given values
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} - Rendered prompt
+ */
+function renderTemplate(template, values) {
+  const withSections = template.replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, body) => {
+    return values[name] ? body : '';
+  });
+
+  return withSections.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    return values[name] === undefined || values[name] === null ? '' : String(values[name]);
+  }).trim();
+}
+
+class PromptTemplates {
+  /**
+   * @param {Object} options - Loader options
+   * @param {string} options.dir - Directory holding <name>.txt templates
+   * @param {string} options.profilesFile - JSON file mapping profiles to templates
+   * @param {Object} logger - Winston logger
+   */
+  constructor(options = {}, logger = console) {
+    this.options = {
+      dir: path.join(__dirname, '..', 'templates'),
+      profilesFile: path.join(__dirname, '..', 'profiles.json'),
+      ...options
+    };
+    this.logger = logger;
+  }
+
+  /**
+   * List the available template names
+   * @returns {Array} - Template names
+   */
+  list() {
+    return fs.readdirSync(this.options.dir)
+      .filter(file => file.endsWith('.txt'))
+      .map(file => path.basename(file, '.txt'))
+      .sort();
+  }
+
+  /**
+   * Check whether a template exists
+   * @param {string} name - Template name
+   * @returns {boolean} - True if the template exists
+   */
+  has(name) {
+    return /^[\w-]+$/.test(name) && fs.existsSync(path.join(this.options.dir, `${name}.txt`));
+  }
+
+  /**
+   * Read a template (from disk every time, so edits apply without a restart)
+   * @param {string} name - Template name
+   * @returns {string} - Template text
+   */
+  get(name) {
+    if (!this.has(name)) {
+      throw new Error(`Unknown prompt template "${name}"`);
+    }
+    return fs.readFileSync(path.join(this.options.dir, `${name}.txt`), 'utf8');
+  }
+
+  /**
+   * Load the profile configuration
+   * @returns {Object} - { defaultTemplate, profiles: { name: { template, description } } }
+   */
+  getProfiles() {
+    const config = { defaultTemplate: 'default', profiles: {} };
+
+    try {
+      const fileContent = JSON.parse(fs.readFileSync(this.options.profilesFile, 'utf8'));
+      return { ...config, ...fileContent };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Failed to read profiles file ${this.options.profilesFile}: ${error.message}`);
+      }
+      return config;
+    }
+  }
+
+  /**
+   * Pick the template for a session: its own, then its profile's, then the default
+   * @param {Object} session - Session record
+   * @returns {string} - Template name
+   */
+  resolve(session) {
+    if (session.template) {
+      return session.template;
+    }
+
+    const config = this.getProfiles();
+    const profile = config.profiles[session.profile];
+    return (profile && profile.template) || config.defaultTemplate;
+  }
+
+  /**
+   * Render the full prompt for a message
+   * @param {Object} session - Session record
+   * @param {Array} history - Messages exchanged before this one
+   * @param {string} message - IVR prompt to answer
+   * @param {string} instruction - Answer-format instruction
+   * @returns {Object} - { template, prompt }
+   */
+  render(session, history, message, instruction = ACTION_INSTRUCTION) {
+    const template = this.resolve(session);
+
+    // Framed the same way as the history, so a message that already says
+    // "The IVR says ..." isn't wrapped twice
+    const prompt = renderTemplate(this.get(template), {
+      prompt: formatIvrPrompt(message),
+      history: formatHistory(history),
+      goal: session.goal || '',
+      testData: formatTestData(session.testData),
+      options: extractOptions(message),
+      instruction
+    });
+
+    return { template, prompt };
+  }
+}
+
+module.exports = {
+  PromptTemplates,
+  ACTION_INSTRUCTION,
+  PLACEHOLDERS,
+  renderTemplate,
+  formatIvrPrompt,
+  formatHistory,
+  formatTestData,
+  extractOptions
+};
@@ -0,0 +1,152 @@
+/**
+ * Response Cache
+ *
+ * Content-addressed store of provider responses, keyed on the session profile,
+ * the prompt template and the rendered prompt (which holds the history and the
+ * message). Lets a known-good conversation be replayed without a model.
+ *
+ * Modes:
+ * - off: always call the provider (default)
+ * - record: call the provider and save each response
+ * - replay: answer only from saved responses; a miss is an error
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { CacheMissError } = require('./errors');
+
+const CACHE_MODES = ['off', 'record', 'replay'];
+
+/**
+ * Replace test data values (RX numbers, dates of birth, ...) in a text with
+ * their names, so recorded entries don't hold them
+ * @param {string} text - Text to redact
+ * @param {Object} testData - Session test data
+ * @returns {string} - Redacted text
+ */
+function redactTestData(text, testData) {
+  return Object.entries(testData || {})
+    .filter(([, value]) => String(value).length > 0)
+    .reduce((redacted, [name, value]) => redacted.split(String(value)).join(`[${name}]`), text || '');
+}
+
+class ResponseCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.mode - off, record or replay
+   * @param {string} options.dir - Directory holding <key>.json entries
+   * @param {Object} logger - Winston logger
+   */
+  constructor(options = {}, logger = console) {
+    this.options = {
+      mode: 'off',
+      dir: path.join(__dirname, '..', 'cache'),
+      ...options
+    };
+    this.logger = logger;
+
+    if (!CACHE_MODES.includes(this.options.mode)) {
+      throw new Error(`Unknown response cache mode "${this.options.mode}". Available modes: ${CACHE_MODES.join(', ')}`);
+    }
+  }
+
+  get mode() {
+    return this.options.mode;
+  }
+
+  /**
+   * Compute the cache key for a provider request
+   * @param {Object} request - Provider request (needs session, template and prompt)
+   * @returns {string} - SHA-256 hex digest
+   */
+  key(request) {
+    const material = JSON.stringify({
+      profile: request.session.profile,
+      template: request.template,
+      prompt: request.prompt
+    });
+    return crypto.createHash('sha256').update(material).digest('hex');
+  }
+
+  /**
+   * Get the file path for a cache key
+   * @param {string} key - Cache key
+   * @returns {string} - File path
+   */
+  entryFile(key) {
+    return path.join(this.options.dir, `${key}.json`);
+  }
+
+  /**
+   * Answer a request from the cache or the provider, depending on the mode
+   * @param {Object} request - Provider request
+   * @param {Function} call - Async function that calls the provider
+   * @returns {Promise<string>} - Response text
+   */
+  async fetch(request, call) {
+    if (this.options.mode === 'off') {
+      return call();
+    }
+
+    const key = this.key(request);
+
+    if (this.options.mode === 'replay') {
+      let entry;
+      try {
+        entry = JSON.parse(fs.readFileSync(this.entryFile(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new CacheMissError(key);
+        }
+        throw error;
+      }
+
+      this.logger.debug(`Replaying cached response ${key} for session ${request.sessionId}`);
+      if (request.onChunk) {
+        request.onChunk(entry.response);
+      }
+      return entry.response;
+    }
+
+    const response = await call();
+    this.write(key, request, response);
+    return response;
+  }
+
+  /**
+   * Save a response. Entries hold no session IDs, timestamps or provider
+   * options, so re-recording the same conversation produces the same files.
+   * The rendered prompt isn't saved, only its hash (the key): it carries the
+   * session's test data, which is also redacted from the message.
+   * @param {string} key - Cache key
+   * @param {Object} request - Provider request
+   * @param {string} response - Response text
+   */
+  write(key, request, response) {
+    const entry = {
+      key,
+      profile: request.session.profile,
+      template: request.template,
+      message: redactTestData(request.message, request.session.testData),
+      response
+    };
+
+    try {
+      fs.mkdirSync(this.options.dir, { recursive: true });
+      const file = this.entryFile(key);
+      fs.writeFileSync(`${file}.tmp`, `${JSON.stringify(entry, null, 2)}\n`);
+      fs.renameSync(`${file}.tmp`, file);
+      this.logger.debug(`Recorded response ${key} for session ${request.sessionId}`);
+    } catch (error) {
+      // A failed write shouldn't fail the message that produced the response
+      this.logger.error(`Failed to record response ${key}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  ResponseCache,
+  CACHE_MODES,
+  redactTestData
+};
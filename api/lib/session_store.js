@@ -0,0 +1,174 @@
+/**
+ * Session Stores
+ *
+ * Persistence backends for the Amazon Q Session API. The server keeps working
+ * on its in-memory sessions map and tells the store which sessions changed;
+ * the store decides when and where to write them.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+// Session fields written to durable stores. providerOptions only ever holds the
+// non-secret per-session options (see SESSION_OPTIONS in llm_providers.js)
+const PERSISTED_FIELDS = ['profile', 'provider', 'providerOptions', 'messages', 'createdAt', 'lastActivity', 'ttl', 'forkedFrom', 'goal', 'testData', 'template', 'apiKeyId'];
+
+/**
+ * In-memory store - nothing survives a restart (default)
+ */
+class MemorySessionStore {
+  constructor(options = {}, logger = console) {
+    this.options = options;
+    this.logger = logger;
+    this.name = 'memory';
+  }
+
+  /**
+   * Load all stored sessions
+   * @returns {Object} - Sessions keyed by session ID
+   */
+  load() {
+    return {};
+  }
+
+  /**
+   * Record that a session changed
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Session record
+   */
+  save(sessionId, session) {}
+
+  /**
+   * Remove a session from the store
+   * @param {string} sessionId - Session ID
+   */
+  remove(sessionId) {}
+
+  /**
+   * Write any pending changes
+   * @returns {number} - Number of sessions written
+   */
+  flush() {
+    return 0;
+  }
+}
+
+/**
+ * File store - one JSON file per session, written in batches
+ */
+class FileSessionStore {
+  constructor(options = {}, logger = console) {
+    this.options = {
+      dir: path.join(__dirname, '..', 'sessions'),
+      ...options
+    };
+    this.logger = logger;
+    this.name = 'file';
+
+    // Sessions changed since the last flush
+    this.dirty = new Map();
+
+    if (!fs.existsSync(this.options.dir)) {
+      fs.mkdirSync(this.options.dir, { recursive: true });
+    }
+  }
+
+  /**
+   * Get the file path for a session
+   * @param {string} sessionId - Session ID
+   * @returns {string} - File path
+   */
+  sessionFile(sessionId) {
+    return path.join(this.options.dir, `${sessionId}.json`);
+  }
+
+  load() {
+    const sessions = {};
+
+    fs.readdirSync(this.options.dir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const sessionId = path.basename(file, '.json');
+        try {
+          sessions[sessionId] = JSON.parse(fs.readFileSync(path.join(this.options.dir, file), 'utf8'));
+        } catch (error) {
+          this.logger.warn(`Skipping unreadable session file ${file}: ${error.message}`);
+        }
+      });
+
+    this.logger.info(`Loaded ${Object.keys(sessions).length} sessions from ${this.options.dir}`);
+    return sessions;
+  }
+
+  save(sessionId, session) {
+    this.dirty.set(sessionId, session);
+  }
+
+  remove(sessionId) {
+    this.dirty.delete(sessionId);
+
+    try {
+      fs.unlinkSync(this.sessionFile(sessionId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Failed to delete session file for ${sessionId}: ${error.message}`);
+      }
+    }
+  }
+
+  flush() {
+    let written = 0;
+
+    this.dirty.forEach((session, sessionId) => {
+      const record = {};
+      PERSISTED_FIELDS.forEach(field => {
+        if (session[field] !== undefined) {
+          record[field] = session[field];
+        }
+      });
+
+      // Write to a temp file first so a crash never leaves a half-written session
+      const file = this.sessionFile(sessionId);
+      try {
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(record, null, 2));
+        fs.renameSync(`${file}.tmp`, file);
+        this.dirty.delete(sessionId);
+        written++;
+      } catch (error) {
+        // Stays dirty so the next flush retries it
+        this.logger.error(`Failed to write session ${sessionId}: ${error.message}`);
+      }
+    });
+
+    return written;
+  }
+}
+
+// Registry of available stores
+const STORES = {
+  memory: MemorySessionStore,
+  file: FileSessionStore
+};
+
+/**
+ * Create a session store by name
+ * @param {string} name - Store name
+ * @param {Object} options - Store options
+ * @param {Object} logger - Winston logger
+ * @returns {Object} - Store instance
+ */
+function createSessionStore(name, options = {}, logger = console) {
+  const StoreClass = STORES[name];
+  if (!StoreClass) {
+    throw new Error(`Unknown session store "${name}". Available stores: ${Object.keys(STORES).join(', ')}`);
+  }
+  return new StoreClass(options, logger);
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  STORES,
+  PERSISTED_FIELDS,
+  createSessionStore
+};
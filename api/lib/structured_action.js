@@ -0,0 +1,116 @@
+/**
+ * Structured Actions
+ *
+ * Prompt instruction and validation for the structured response mode, where
+ * the model answers with a JSON action instead of free text.
+ */
+
+const ACTION_TYPES = ['dtmf', 'speech', 'wait', 'hangup'];
+
+// Instruction sent in place of the "press only the key" instruction
+const STRUCTURED_INSTRUCTION = 'Respond with ONLY a JSON object and no other text, in this shape: ' +
+  '{"actionType": "dtmf" | "speech" | "wait" | "hangup", "value": "<digits to press, words to say, seconds to wait, or empty for hangup>", ' +
+  '"rationale": "<one sentence on why>", "confidence": <number from 0 to 1>}';
+
+/**
+ * Build the instruction for a retry after an unusable reply
+ * @param {string} reason - Why the previous reply was rejected
+ * @returns {string} - Retry instruction
+ */
+function buildRetryInstruction(reason) {
+  return `Your previous reply could not be used (${reason}). ${STRUCTURED_INSTRUCTION}`;
+}
+
+/**
+ * Pull the first JSON object out of a model reply
+ * @param {string} text - Raw reply
+ * @returns {string|null} - JSON text, or null if there is none
+ */
+function extractJson(text) {
+  // Models often wrap JSON in a code fence
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text;
+
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return null;
+  }
+  return candidate.substring(start, end + 1);
+}
+
+/**
+ * Parse and validate a structured action reply
+ * @param {string} text - Raw reply
+ * @returns {Object} - { action } when valid, otherwise { error }
+ */
+function parseStructuredAction(text) {
+  const json = extractJson(text || '');
+  if (!json) {
+    return { error: 'no JSON object found' };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (e) {
+    return { error: `invalid JSON: ${e.message}` };
+  }
+
+  const actionType = typeof parsed.actionType === 'string' ? parsed.actionType.toLowerCase() : parsed.actionType;
+  if (!ACTION_TYPES.includes(actionType)) {
+    return { error: `actionType must be one of ${ACTION_TYPES.join(', ')}` };
+  }
+
+  const value = parsed.value === undefined || parsed.value === null ? '' : String(parsed.value).trim();
+  if (!value && (actionType === 'dtmf' || actionType === 'speech')) {
+    return { error: `value is required for actionType ${actionType}` };
+  }
+  if (actionType === 'dtmf' && !/^[0-9*#]+$/.test(value)) {
+    return { error: 'dtmf value may only contain 0-9, * and #' };
+  }
+
+  if (typeof parsed.rationale !== 'string' || !parsed.rationale.trim()) {
+    return { error: 'rationale must be a non-empty string' };
+  }
+
+  const confidence = Number(parsed.confidence);
+  if (parsed.confidence === undefined || Number.isNaN(confidence) || confidence < 0 || confidence > 1) {
+    return { error: 'confidence must be a number from 0 to 1' };
+  }
+
+  return {
+    action: {
+      actionType,
+      value,
+      rationale: parsed.rationale.trim(),
+      confidence
+    }
+  };
+}
+
+/**
+ * Infer a structured action from a plain action string (used by providers that can't produce JSON)
+ * @param {string} text - Plain action such as "4", "9009400#" or "Hang Up"
+ * @param {string} rationale - Rationale to attach
+ * @returns {Object} - Structured action
+ */
+function actionFromText(text, rationale) {
+  const value = text.trim();
+
+  if (/^[0-9*#]+$/.test(value)) {
+    return { actionType: 'dtmf', value, rationale, confidence: 1 };
+  }
+  if (value.toLowerCase() === 'hang up') {
+    return { actionType: 'hangup', value: '', rationale, confidence: 1 };
+  }
+  return { actionType: 'speech', value, rationale, confidence: 1 };
+}
+
+module.exports = {
+  ACTION_TYPES,
+  STRUCTURED_INSTRUCTION,
+  buildRetryInstruction,
+  parseStructuredAction,
+  actionFromText
+};
@@ -5,14 +5,24 @@
 # Check if required arguments are provided
 if [ $# -lt 3 ]; then
     echo "Usage: ./q_wrapper_with_history.sh <profile> <history_file> \"Your question here\""
+    echo "       ./q_wrapper_with_history.sh <profile> --prompt-file <prompt_file>"
     exit 1
 fi
 
+# Check if Amazon Q CLI is installed
+if ! command -v q &> /dev/null; then
+    echo "Error: Amazon Q CLI is not installed" >&2
+    exit 127
+fi
+
 # Capture the arguments
 profile="$1"
 history_file="$2"
 question="${@:3}"
 
+# Instruction appended to the prompt
+instruction="Provide ONLY the key or option to press. Do not explain your reasoning. Just give the digit, letter, or exact word to respond with."
+
 # Format the current question in IVR format if it's not already
 if [[ "$question" != *"the IVR says"* ]] && [[ "$question" != *"The IVR says"* ]]; then
     formatted_question="The IVR says \"$question\" what next?"
@@ -20,38 +30,43 @@ else
     formatted_question="$question"
 fi
 
+# The session API renders the whole prompt from a template and passes it as a file
+if [ "$history_file" == "--prompt-file" ]; then
+    full_prompt=$(cat "$question")
 # Check if history file exists
-if [ -f "$history_file" ]; then
+elif [ -f "$history_file" ]; then
     # Read conversation history
     history_content=$(cat "$history_file")
     
     # Construct the full prompt with history
-    full_prompt="Previous IVR navigation:\n\n$history_content\n\nHuman: $formatted_question\n\nProvide ONLY the key or option to press. Do not explain your reasoning. Just give the digit, letter, or exact word to respond with."
-    
-    # Check prompt length - if too long, truncate history
-    prompt_length=${#full_prompt}
-    if [ $prompt_length -gt 8000 ]; then
-        echo "Warning: Prompt length ($prompt_length chars) exceeds recommended limit. Truncating history." >&2
-        # Use just the last part of the history to keep under limit
-        history_lines=$(echo "$history_content" | wc -l)
-        history_to_keep=$((history_lines / 2))
-        truncated_history=$(echo "$history_content" | tail -n $history_to_keep)
-        full_prompt="Previous IVR navigation (truncated):\n\n$truncated_history\n\nHuman: $formatted_question\n\nProvide ONLY the key or option to press. Do not explain your reasoning. Just give the digit, letter, or exact word to respond with."
-    fi
+    # (the session API compacts long histories before they get here, so nothing is truncated)
+    full_prompt="Previous IVR navigation:\n\n$history_content\n\nHuman: $formatted_question\n\n$instruction"
 else
     # No history file, just use the formatted question
-    full_prompt="Human: $formatted_question\n\nProvide ONLY the key or option to press. Do not explain your reasoning. Just give the digit, letter, or exact word to respond with."
+    full_prompt="Human: $formatted_question\n\n$instruction"
 fi
 
 # Save the full prompt for debugging
 echo "$full_prompt" > /tmp/q_wrapper_full_prompt.txt
 
 # Use the q chat command with the full prompt
-output=$(q chat --profile "$profile" --accept-all "$full_prompt" 2>&1)
+# If the caller opened fd 3, mirror the raw output there as it arrives (used for streaming)
+if { true >&3; } 2>/dev/null; then
+    output=$(set -o pipefail; q chat --profile "$profile" --accept-all "$full_prompt" 2>&1 | tee >(cat >&3))
+else
+    output=$(q chat --profile "$profile" --accept-all "$full_prompt" 2>&1)
+fi
+q_status=$?
 
 # Save the full output for debugging
 echo "$output" > /tmp/q_wrapper_debug_output.txt
 
+# Pass q failures back to the caller instead of treating the error text as a response
+if [ $q_status -ne 0 ]; then
+    echo "$output" | sed -e 's/\x1B\[[0-9;]*[mK]//g' | tail -n 5 >&2
+    exit $q_status
+fi
+
 # Strip ANSI color codes
 clean_output=$(echo "$output" | sed -e 's/\x1B\[[0-9;]*[mK]//g')
 
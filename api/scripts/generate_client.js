@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+
+/**
+ * Generate the Session API client
+ *
+ * Reads api/openapi.json and writes lib/session_api_client.js, which the CLI
+ * tools use instead of hand-written axios calls. Run it after changing the
+ * OpenAPI document:
+ *
+ *   node api/scripts/generate_client.js
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const SPEC_FILE = path.join(__dirname, '..', 'openapi.json');
+const OUTPUT_FILE = path.join(__dirname, '..', '..', 'lib', 'session_api_client.js');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Describe a schema for a JSDoc type comment
+ * @param {Object} schema - Schema or $ref
+ * @returns {string} - Schema name, or a short type description
+ */
+function schemaName(schema) {
+  if (!schema) {
+    return 'Object';
+  }
+  if (schema.$ref) {
+    return schema.$ref.split('/').pop();
+  }
+  return schema.type || 'Object';
+}
+
+/**
+ * Describe a success response: its schema name, or its description
+ * @param {Object} response - OpenAPI response
+ * @returns {string} - Description
+ */
+function describeResponse(response) {
+  const json = response.content && response.content['application/json'];
+  return json && json.schema.$ref ? schemaName(json.schema) : response.description;
+}
+
+/**
+ * Build the method source for one operation
+ * @param {string} route - Path template, e.g. /api/sessions/{sessionId}
+ * @param {string} method - HTTP method
+ * @param {Object} operation - OpenAPI operation
+ * @returns {string} - Method source
+ */
+function generateMethod(route, method, operation) {
+  const pathParams = (route.match(/\{\w+\}/g) || []).map(param => param.slice(1, -1));
+  const queryParams = (operation.parameters || []).filter(param => param.in === 'query');
+  const body = operation.requestBody && operation.requestBody.content['application/json'];
+  const success = operation.responses['200'] || {};
+  const successContent = success.content || {};
+  const stream = Boolean(successContent['text/event-stream']);
+
+  const args = [...pathParams];
+  const docs = [`   * ${operation.summary}`];
+  pathParams.forEach(param => docs.push(`   * @param {string} ${param} - Path parameter`));
+  if (queryParams.length > 0) {
+    args.push('query');
+    docs.push(`   * @param {Object} query - ${queryParams.map(param => param.name).join(', ')}`);
+  }
+  if (body) {
+    args.push(operation.requestBody.required ? 'body' : 'body = {}');
+    docs.push(`   * @param {Object} ${operation.requestBody.required ? 'body' : '[body]'} - ${schemaName(body.schema)}`);
+  }
+  docs.push(stream
+    ? '   * @returns {Promise<Object>} - Axios response whose data is the Server-Sent Events stream'
+    : `   * @returns {Promise<${successContent['text/plain'] ? 'string' : 'Object'}>} - ${describeResponse(success)}`);
+
+  const url = `\`${route.replace(/\{(\w+)\}/g, '${encodeURIComponent($1)}')}\``;
+  const options = [
+    ...(queryParams.length > 0 ? ['query'] : []),
+    ...(body ? ['body'] : []),
+    ...(stream ? ['stream: true'] : [])
+  ];
+
+  return [
+    '  /**',
+    ...docs,
+    '   */',
+    `  ${operation.operationId}(${args.join(', ')}) {`,
+    `    return this.request('${method}', ${url}${options.length ? `, { ${options.join(', ')} }` : ''});`,
+    '  }'
+  ].join('\n');
+}
+
+/**
+ * Generate the client source
+ * @param {Object} spec - OpenAPI document
+ * @returns {string} - Module source
+ */
+function generateClient(spec) {
+  const methods = [];
+  Object.entries(spec.paths).forEach(([route, item]) => {
+    METHODS.filter(method => item[method]).forEach(method => {
+      methods.push(generateMethod(route, method, item[method]));
+    });
+  });
+
+  return `/**
+ * Session API Client
+ *
+ * Generated from api/openapi.json by api/scripts/generate_client.js for
+ * ${spec.info.title} ${spec.info.version}. Do not edit by hand; change the
+ * document and run \`npm run generate-client\` instead.
+ */
+
+const axios = require('axios');
+
+/**
+ * A request failed; carries the API's { code, message, details } error body
+ */
+class SessionApiRequestError extends Error {
+  constructor(error, body) {
+    super(body && body.message ? body.message : error.message);
+    this.name = 'SessionApiRequestError';
+    this.status = error.response ? error.response.status : null;
+    this.code = body && body.code ? body.code : error.code;
+    this.details = body && body.details ? body.details : null;
+    this.response = error.response;
+  }
+}
+
+/**
+ * Read an error body that arrived as a stream
+ * @param {Object} stream - Response stream
+ * @returns {Promise<Object|null>} - Parsed body
+ */
+function readStreamBody(stream) {
+  return new Promise(resolve => {
+    let text = '';
+    stream.on('data', data => {
+      text += data.toString();
+    });
+    stream.on('end', () => {
+      try {
+        resolve(JSON.parse(text));
+      } catch (e) {
+        resolve(null);
+      }
+    });
+    stream.on('error', () => resolve(null));
+  });
+}
+
+class SessionApiClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.baseUrl - Session API URL
+   * @param {string} options.apiKey - Bearer key, when the API has keys configured
+   * @param {number} options.timeout - Request timeout in ms (0 for none)
+   */
+  constructor(options = {}) {
+    this.options = {
+      baseUrl: '${spec.servers[0].url}',
+      apiKey: null,
+      timeout: 0,
+      ...options
+    };
+
+    this.http = axios.create({
+      baseURL: this.options.baseUrl,
+      timeout: this.options.timeout,
+      headers: this.options.apiKey ? { Authorization: \`Bearer \${this.options.apiKey}\` } : {}
+    });
+  }
+
+  /**
+   * Send a request and unwrap the response
+   * @param {string} method - HTTP method
+   * @param {string} url - Request path
+   * @param {Object} options - { query, body, stream }
+   * @returns {Promise<any>} - Response body (or the raw response for streams)
+   */
+  async request(method, url, { query, body, stream = false } = {}) {
+    try {
+      const response = await this.http.request({
+        method,
+        url,
+        params: query,
+        data: body,
+        responseType: stream ? 'stream' : 'json'
+      });
+      return stream ? response : response.data;
+    } catch (error) {
+      let errorBody = error.response ? error.response.data : null;
+      if (stream && errorBody && typeof errorBody.on === 'function') {
+        errorBody = await readStreamBody(errorBody);
+        error.response.data = errorBody;
+      }
+      throw new SessionApiRequestError(error, errorBody);
+    }
+  }
+
+${methods.join('\n\n')}
+}
+
+module.exports = {
+  SessionApiClient,
+  SessionApiRequestError
+};
+`;
+}
+
+if (require.main === module) {
+  const spec = JSON.parse(fs.readFileSync(SPEC_FILE, 'utf8'));
+  fs.writeFileSync(OUTPUT_FILE, generateClient(spec));
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
+
+module.exports = { generateClient };
@@ -11,7 +11,27 @@ const winston = require('winston');
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
-const os = require('os');
+const { createProvider, checkSessionOptions, pickSessionOptions } = require('./lib/llm_providers');
+const MessageQueue = require('./lib/message_queue');
+const { createSessionStore } = require('./lib/session_store');
+const { PromptTemplates, PLACEHOLDERS, ACTION_INSTRUCTION, formatHistory } = require('./lib/prompt_templates');
+const { HistoryCompactor } = require('./lib/history_compactor');
+const { ResponseCache } = require('./lib/response_cache');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { ApiKeyAuth } = require('./lib/api_keys');
+const { OpenApiValidator } = require('./lib/openapi');
+const { Diagnostics, PROFILE_NAME } = require('./lib/diagnostics');
+const { STRUCTURED_INSTRUCTION, buildRetryInstruction, parseStructuredAction } = require('./lib/structured_action');
+const {
+  SessionNotFoundError,
+  ValidationError,
+  RouteNotFoundError,
+  InvalidMessageIndexError,
+  EmptyResponseError,
+  ProviderTimeoutError,
+  StructuredResponseError,
+  SessionLimitError
+} = require('./lib/errors');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -38,13 +58,89 @@ const app = express();
 app.use(express.json());
 app.use(cors());
 
+// API keys for the /api routes (off when there is no keys file)
+const apiKeyAuth = new ApiKeyAuth({
+  ...(process.env.API_KEYS_FILE ? { file: process.env.API_KEYS_FILE } : {}),
+  adminKey: process.env.ADMIN_API_KEY || null
+}, logger);
+apiKeyAuth.load();
+app.use('/api', apiKeyAuth.middleware());
+app.use('/admin', apiKeyAuth.adminMiddleware());
+
+// Request and response bodies are checked against openapi.json
+const openApi = new OpenApiValidator({
+  strictResponses: process.env.STRICT_RESPONSE_VALIDATION === 'true'
+}, logger);
+app.use(openApi.middleware());
+
 // Store active sessions
 const sessions = {};
 
+// Provider instances, keyed by session ID
+const providers = {};
+
+// Provider used when a session doesn't name one
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'amazon-q';
+
+// Provider calls run in order per session, with a global concurrency limit
+const messageQueue = new MessageQueue({
+  concurrency: parseInt(process.env.MAX_CONCURRENT_MESSAGES || '4'),
+  maxPending: parseInt(process.env.MAX_PENDING_PER_SESSION || '10')
+});
+
 // Session cleanup interval (check every minute, timeout after 10 minutes of inactivity)
-const SESSION_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+const SESSION_TIMEOUT = parseInt(process.env.SESSION_TIMEOUT || String(10 * 60 * 1000)); // 10 minutes, overridable per session
 const SESSION_CHECK_INTERVAL = 60 * 1000; // 1 minute
 
+// Durable store for session history (memory by default, so nothing survives a restart)
+const sessionStore = createSessionStore(process.env.SESSION_STORE || 'memory', {
+  ...(process.env.SESSION_STORE_DIR ? { dir: process.env.SESSION_STORE_DIR } : {})
+}, logger);
+const STORE_FLUSH_INTERVAL = parseInt(process.env.STORE_FLUSH_INTERVAL || '5000');
+
+// Prompt templates, picked per session or per profile
+const promptTemplates = new PromptTemplates({
+  ...(process.env.PROMPT_TEMPLATES_DIR ? { dir: process.env.PROMPT_TEMPLATES_DIR } : {}),
+  ...(process.env.PROFILES_FILE ? { profilesFile: process.env.PROFILES_FILE } : {})
+}, logger);
+
+// Keeps long histories within the prompt budget
+const historyCompactor = new HistoryCompactor({
+  maxTokens: parseInt(process.env.HISTORY_TOKEN_BUDGET || '2000'),
+  keepTurns: parseInt(process.env.HISTORY_KEEP_TURNS || '4')
+}, logger);
+
+// Recorded provider responses (off unless RESPONSE_CACHE is record or replay)
+const responseCache = new ResponseCache({
+  mode: process.env.RESPONSE_CACHE || 'off',
+  ...(process.env.RESPONSE_CACHE_DIR ? { dir: process.env.RESPONSE_CACHE_DIR } : {})
+}, logger);
+
+// Readiness checks served at /health/ready
+const diagnostics = new Diagnostics({
+  ivrBaseUrl: process.env.IVR_BASE_URL || null,
+  ...(process.env.Q_PROFILES_DIR ? { profilesDir: process.env.Q_PROFILES_DIR } : {})
+}, logger);
+
+// Prometheus metrics served at /metrics
+const metrics = new MetricsRegistry();
+metrics.gauge('session_api_active_sessions', 'Sessions currently open, by profile', () => {
+  const counts = {};
+  Object.values(sessions).forEach(session => {
+    counts[session.profile] = (counts[session.profile] || 0) + 1;
+  });
+  return Object.entries(counts).map(([profile, value]) => ({ labels: { profile }, value }));
+});
+const sessionsCreated = metrics.counter('session_api_sessions_created_total', 'Sessions created, by profile');
+const sessionsEnded = metrics.counter('session_api_sessions_ended_total', 'Sessions ended, by reason (deleted, timeout or admin)');
+const messagesTotal = metrics.counter('session_api_messages_total', 'Messages sent, by profile');
+const messageErrors = metrics.counter('session_api_message_errors_total', 'Failed messages, by error code');
+const providerTimeouts = metrics.counter('session_api_provider_timeouts_total', 'Provider calls that timed out, by provider');
+const providerDuration = metrics.histogram('session_api_provider_duration_seconds', 'Provider (wrapper) call latency, by provider and outcome',
+  [0.5, 1, 2.5, 5, 10, 20, 30, 45, 60, 90]);
+const historyLength = metrics.histogram('session_api_history_chars', 'Length in characters of the history sent with each message',
+  [0, 500, 1000, 2000, 4000, 8000, 16000, 32000]);
+
 // Create logs directory if it doesn't exist
 const logsDir = path.join(__dirname, 'logs');
 if (!fs.existsSync(logsDir)) {
@@ -55,12 +151,39 @@ if (!fs.existsSync(logsDir)) {
  * Create a new Amazon Q session
  * @param {string} sessionId - Unique session identifier
  * @param {string} profile - Amazon Q profile to use
+ * @param {Object} options - Session options
+ * @param {string} options.provider - LLM provider to use
+ * @param {Object} options.providerOptions - Per-session provider options (see SESSION_OPTIONS in llm_providers.js)
+ * @param {number} options.ttl - Inactivity timeout in ms (defaults to SESSION_TIMEOUT)
+ * @param {string} options.goal - What the caller is trying to do, injected into every prompt
+ * @param {Object} options.testData - Values to enter when the IVR asks (RX number, DOB, ...)
+ * @param {string} options.template - Prompt template (defaults to the profile's template)
+ * @param {string} options.apiKeyId - ID of the API key that created the session
  * @returns {string} - Session ID
  */
-function createSession(sessionId, profile = 'IVR_tester') {
-  logger.info(`Creating new session ${sessionId} with profile ${profile}`);
+function createSession(sessionId, profile = 'IVR_tester', options = {}) {
+  const {
+    provider: providerName = DEFAULT_PROVIDER,
+    providerOptions: requestedOptions = {},
+    ttl = null,
+    goal = null,
+    testData = {},
+    template = null,
+    apiKeyId = null
+  } = options;
+  logger.info(`Creating new session ${sessionId} with profile ${profile} and provider ${providerName}`);
   
   try {
+    // The profile names a directory for the q CLI and labels the session metrics
+    if (!PROFILE_NAME.test(profile)) {
+      throw new ValidationError(`Invalid profile name ${JSON.stringify(profile)}: use letters, digits, underscores and dashes`);
+    }
+    
+    // Fail before storing anything if the provider is unknown, misconfigured or
+    // asked for an option clients may not set
+    const providerOptions = checkSessionOptions(providerName, requestedOptions);
+    const provider = createProvider(providerName, providerOptions, logger);
+    
     // Create log files for this session
     const sessionLogDir = path.join(logsDir, sessionId);
     if (!fs.existsSync(sessionLogDir)) {
@@ -70,9 +193,20 @@ function createSession(sessionId, profile = 'IVR_tester') {
     // Store the session (no process needed with the new approach)
     sessions[sessionId] = {
       profile,
+      provider: providerName,
+      providerOptions,
       messages: [],
-      lastActivity: Date.now()
+      createdAt: Date.now(),
+      lastActivity: Date.now(),
+      ttl,
+      goal,
+      testData,
+      template,
+      apiKeyId
     };
+    providers[sessionId] = provider;
+    sessionStore.save(sessionId, sessions[sessionId]);
+    sessionsCreated.inc({ profile });
     
     return sessionId;
   } catch (error) {
@@ -84,16 +218,152 @@ function createSession(sessionId, profile = 'IVR_tester') {
 /**
  * Clean up a session and its resources
  * @param {string} sessionId - Session to clean up
+ * @param {string} reason - Why the session ended (deleted, timeout or admin)
  */
-function cleanupSession(sessionId) {
+function cleanupSession(sessionId, reason = 'deleted') {
   if (sessions[sessionId]) {
-    logger.info(`Cleaning up session ${sessionId}`);
+    logger.info(`Cleaning up session ${sessionId} (${reason})${sessions[sessionId].apiKeyId ? ` for key ${sessions[sessionId].apiKeyId}` : ''}`);
+    sessionsEnded.inc({ reason });
     
     // Remove the session
     delete sessions[sessionId];
+    delete providers[sessionId];
+    sessionStore.remove(sessionId);
+  }
+}
+
+/**
+ * Check that a message index falls within a session's history
+ * @param {Object} session - Session record
+ * @param {any} messageIndex - Requested index
+ */
+function validateMessageIndex(session, messageIndex) {
+  if (!Number.isInteger(messageIndex) || messageIndex < 0 || messageIndex > session.messages.length) {
+    throw new InvalidMessageIndexError(messageIndex, session.messages.length);
   }
 }
 
+/**
+ * Clone a session's first N messages into a new session
+ * 
+ * Runs behind any queued messages so the fork sees a settled history.
+ * @param {string} sourceId - Session to fork
+ * @param {number} messageIndex - Number of messages to copy
+ * @returns {Promise<string>} - New session ID
+ */
+function forkSession(sourceId, messageIndex) {
+  if (!sessions[sourceId]) {
+    return Promise.reject(new SessionNotFoundError(sourceId));
+  }
+  
+  return messageQueue.enqueue(sourceId, async () => {
+    const source = sessions[sourceId];
+    if (!source) {
+      throw new SessionNotFoundError(sourceId);
+    }
+    validateMessageIndex(source, messageIndex);
+    
+    const sessionId = uuidv4();
+    createSession(sessionId, source.profile, {
+      provider: source.provider,
+      providerOptions: source.providerOptions,
+      ttl: source.ttl,
+      goal: source.goal,
+      testData: source.testData,
+      template: source.template,
+      apiKeyId: source.apiKeyId
+    });
+    
+    // Copy the messages so later edits to either session don't leak across
+    sessions[sessionId].messages = source.messages.slice(0, messageIndex).map(msg => ({ ...msg }));
+    sessions[sessionId].forkedFrom = { sessionId: sourceId, messageIndex };
+    sessionStore.save(sessionId, sessions[sessionId]);
+    
+    logger.info(`Forked session ${sourceId} at message ${messageIndex} into ${sessionId}`);
+    return sessionId;
+  });
+}
+
+/**
+ * Truncate a session back to its first N messages
+ * 
+ * Runs behind any queued messages so it never cuts an exchange in flight.
+ * @param {string} sessionId - Session to rewind
+ * @param {number} messageIndex - Number of messages to keep
+ * @returns {Promise<number>} - Number of messages removed
+ */
+function rewindSession(sessionId, messageIndex) {
+  if (!sessions[sessionId]) {
+    return Promise.reject(new SessionNotFoundError(sessionId));
+  }
+  
+  return messageQueue.enqueue(sessionId, async () => {
+    const session = sessions[sessionId];
+    if (!session) {
+      throw new SessionNotFoundError(sessionId);
+    }
+    validateMessageIndex(session, messageIndex);
+    
+    const removed = session.messages.length - messageIndex;
+    session.messages = session.messages.slice(0, messageIndex);
+    session.lastActivity = Date.now();
+    sessionStore.save(sessionId, session);
+    
+    logger.info(`Rewound session ${sessionId} to message ${messageIndex} (${removed} removed)`);
+    return removed;
+  });
+}
+
+/**
+ * Get the inactivity timeout for a session
+ * @param {Object} session - Session record
+ * @returns {number} - Timeout in ms
+ */
+function getSessionTtl(session) {
+  return session.ttl || SESSION_TIMEOUT;
+}
+
+/**
+ * Reload sessions saved by a previous run
+ * @returns {number} - Number of sessions restored
+ */
+function restoreSessions() {
+  const stored = sessionStore.load();
+  
+  Object.entries(stored).forEach(([sessionId, record]) => {
+    const providerName = record.provider || DEFAULT_PROVIDER;
+    
+    try {
+      if (record.profile !== undefined && !PROFILE_NAME.test(record.profile)) {
+        throw new Error(`invalid profile name ${JSON.stringify(record.profile)}`);
+      }
+      
+      // Files written before options were allowlisted may hold server-only
+      // settings such as apiKey or wrapperPath; never rebuild a provider from those
+      const storedOptions = record.providerOptions || {};
+      const providerOptions = pickSessionOptions(providerName, storedOptions);
+      
+      providers[sessionId] = createProvider(providerName, providerOptions, logger);
+      sessions[sessionId] = {
+        ...record,
+        provider: providerName,
+        providerOptions,
+        messages: record.messages || []
+      };
+      
+      const dropped = Object.keys(storedOptions).filter(option => !(option in providerOptions));
+      if (dropped.length > 0) {
+        logger.warn(`Dropped provider options ${dropped.join(', ')} from restored session ${sessionId}`);
+        sessionStore.save(sessionId, sessions[sessionId]);
+      }
+    } catch (error) {
+      logger.error(`Could not restore session ${sessionId}: ${error.message}`);
+    }
+  });
+  
+  return Object.keys(sessions).length;
+}
+
 /**
  * Extract a response from the Amazon Q output buffer
  * @param {string} buffer - Output buffer to process
@@ -159,136 +429,311 @@ function extractResponse(buffer) {
 
 /**
  * Send a message to an existing session
+ * 
+ * Messages to the same session are queued and sent one at a time.
  * @param {string} sessionId - Session ID
  * @param {string} message - Message to send
- * @returns {Promise<string>} - Response from Amazon Q
+ * @param {Object} options - Send options
+ * @param {Function} [options.onChunk] - Called with partial output as it arrives
+ * @param {boolean} [options.structured] - Ask for a JSON action and validate it
+ * @returns {Promise<Object>} - { response } plus { action, attempts } in structured mode
  */
-function sendMessage(sessionId, message) {
-  return new Promise((resolve, reject) => {
-    if (!sessions[sessionId]) {
-      return reject(new Error('Session not found'));
-    }
-    
-    logger.info(`Sending message to session ${sessionId}: ${message}`);
-    
-    // Update last activity time
-    sessions[sessionId].lastActivity = Date.now();
-    
-    // Add message to history
-    sessions[sessionId].messages.push({
-      role: 'user',
-      content: message,
-      timestamp: new Date().toISOString()
+function sendMessage(sessionId, message, options = {}) {
+  if (!sessions[sessionId]) {
+    return Promise.reject(new SessionNotFoundError(sessionId));
+  }
+  
+  // Update last activity time so queued sessions aren't reaped
+  sessions[sessionId].lastActivity = Date.now();
+  sessionStore.save(sessionId, sessions[sessionId]);
+  messagesTotal.inc({ profile: sessions[sessionId].profile });
+  
+  logger.debug(`Queueing message for session ${sessionId} (${messageQueue.getPending(sessionId)} already pending)`);
+  return messageQueue.enqueue(sessionId, () => runMessage(sessionId, message, options))
+    .catch(error => {
+      messageErrors.inc({ code: error.code || 'INTERNAL_ERROR' });
+      throw error;
     });
+}
+
+/**
+ * Send a message to the session's provider and record the exchange
+ * @param {string} sessionId - Session ID
+ * @param {string} message - Message to send
+ * @param {Object} options - Send options (see sendMessage)
+ * @returns {Promise<Object>} - Result (see sendMessage)
+ */
+async function runMessage(sessionId, message, options = {}) {
+  // The session may have ended while this message was queued
+  const session = sessions[sessionId];
+  if (!session) {
+    throw new SessionNotFoundError(sessionId);
+  }
+  
+  logger.info(`Sending message to session ${sessionId} via ${session.provider}${session.apiKeyId ? ` (key ${session.apiKeyId})` : ''}: ${message}`);
+  
+  session.lastActivity = Date.now();
+  
+  // Messages exchanged before this one, compacted to fit the prompt budget
+  const history = historyCompactor.compact(sessionId, session.messages);
+  historyLength.observe({}, formatHistory(history).length);
+  
+  // Added to history together with the reply, so a failed call leaves no
+  // unanswered turn behind
+  const userEntry = {
+    role: 'user',
+    content: message,
+    timestamp: new Date().toISOString()
+  };
+  
+  const request = {
+    sessionId,
+    session,
+    history,
+    message,
+    onChunk: options.onChunk,
+    responseFormat: options.structured ? 'json' : 'text'
+  };
+  
+  try {
+    const rendered = options.structured
+      ? promptTemplates.render(session, history, message, STRUCTURED_INSTRUCTION)
+      : promptTemplates.render(session, history, message);
+    request.prompt = rendered.prompt;
+    request.template = rendered.template;
+    logger.debug(`Rendered prompt for session ${sessionId} with template ${rendered.template} (${rendered.prompt.length} chars)`);
     
-    // Create a temporary file with conversation history
-    const historyFile = path.join(os.tmpdir(), `q_history_${sessionId}.txt`);
-    let historyContent = '';
+    const result = { response: await callProvider(sessionId, request) };
     
-    // Format the conversation history for IVR context
-    for (let i = 0; i < sessions[sessionId].messages.length - 1; i += 2) {
-      const userMsg = sessions[sessionId].messages[i];
-      // Check if there's a corresponding assistant message
-      if (i + 1 < sessions[sessionId].messages.length) {
-        const assistantMsg = sessions[sessionId].messages[i + 1];
-        
-        // Format user message with IVR context if needed
-        let formattedUserMsg = userMsg.content;
-        if (!formattedUserMsg.includes('the IVR says') && !formattedUserMsg.includes('The IVR says')) {
-          formattedUserMsg = `The IVR says "${formattedUserMsg}" what next?`;
-        }
-        
-        historyContent += `Human: ${formattedUserMsg}\n`;
-        historyContent += `Amazon Q: ${assistantMsg.content}\n\n`;
+    if (options.structured) {
+      let parsed = parseStructuredAction(result.response);
+      result.attempts = 1;
+      
+      // Re-prompt once, telling the model what was wrong with its reply
+      if (parsed.error) {
+        logger.warn(`Structured reply for session ${sessionId} rejected (${parsed.error}), re-prompting`);
+        result.rejected = [{ response: result.response, reason: parsed.error }];
+        const retryPrompt = promptTemplates.render(session, history, message, buildRetryInstruction(parsed.error)).prompt;
+        result.response = await callProvider(sessionId, { ...request, prompt: retryPrompt });
+        result.attempts = 2;
+        parsed = parseStructuredAction(result.response);
       }
+      
+      result.action = parsed.action;
+      recordExchange(sessionId, session, userEntry, result);
+      
+      if (parsed.error) {
+        throw new StructuredResponseError(parsed.error, result.response, result.rejected);
+      }
+    } else {
+      recordExchange(sessionId, session, userEntry, result);
     }
     
-    // Write history to temp file
-    fs.writeFileSync(historyFile, historyContent);
-    logger.debug(`Wrote conversation history to ${historyFile}`);
-    
-    // Use the wrapper script with history
-    const wrapperPath = path.join(__dirname, 'q_wrapper_with_history.sh');
+    return result;
+  } catch (error) {
+    logger.error(`Error getting response from ${session.provider}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Call the session's provider (or the response cache) and reject empty output
+ * @param {string} sessionId - Session ID
+ * @param {Object} request - Provider request
+ * @returns {Promise<string>} - Raw response text
+ */
+async function callProvider(sessionId, request) {
+  const response = await responseCache.fetch(request, async () => {
+    const provider = request.session.provider;
+    const startTime = Date.now();
+    let output;
     
     try {
-      // Execute the wrapper script with the message and history
-      logger.debug(`Executing wrapper script: ${wrapperPath} ${sessions[sessionId].profile} ${historyFile} "${message}"`);
-      
-      const result = require('child_process').execSync(
-        `${wrapperPath} ${sessions[sessionId].profile} ${historyFile} "${message.replace(/"/g, '\\"')}"`,
-        { encoding: 'utf8', timeout: 60000 }
-      );
-      
-      const response = result.trim();
-      logger.info(`Received response from wrapper for session ${sessionId}: ${response.substring(0, 100)}${response.length > 100 ? '...' : ''}`);
-      
-      // Add response to history
-      sessions[sessionId].messages.push({
-        role: 'assistant',
-        content: response,
-        timestamp: new Date().toISOString()
-      });
-      
-      // Clean up temp file
-      try {
-        fs.unlinkSync(historyFile);
-      } catch (e) {
-        logger.warn(`Failed to delete temp history file: ${e.message}`);
-      }
-      
-      resolve(response);
+      output = await providers[sessionId].complete(request);
     } catch (error) {
-      logger.error(`Error executing wrapper script: ${error.message}`);
-      
-      // Clean up temp file
-      try {
-        fs.unlinkSync(historyFile);
-      } catch (e) {
-        logger.warn(`Failed to delete temp history file: ${e.message}`);
+      providerDuration.observe({ provider, outcome: 'error' }, (Date.now() - startTime) / 1000);
+      if (error instanceof ProviderTimeoutError) {
+        providerTimeouts.inc({ provider });
       }
-      
-      reject(error);
+      throw error;
+    }
+    providerDuration.observe({ provider, outcome: 'ok' }, (Date.now() - startTime) / 1000);
+    
+    if (!output || !output.trim()) {
+      throw new EmptyResponseError(provider);
     }
+    return output;
   });
+  
+  logger.info(`Received response from ${request.session.provider} for session ${sessionId}: ${response.substring(0, 100)}${response.length > 100 ? '...' : ''}`);
+  return response;
+}
+
+/**
+ * Add a message and the provider's reply to the session history
+ * @param {string} sessionId - Session ID
+ * @param {Object} session - Session record
+ * @param {Object} userEntry - The message that was answered
+ * @param {Object} result - Result from runMessage
+ */
+function recordExchange(sessionId, session, userEntry, result) {
+  const entry = {
+    role: 'assistant',
+    content: result.response,
+    timestamp: new Date().toISOString()
+  };
+  if (result.action) {
+    entry.action = result.action;
+  }
+  
+  session.messages.push(userEntry, entry);
+  session.lastActivity = Date.now();
+  sessionStore.save(sessionId, session);
+}
+
+/**
+ * Check that an API key can open another session
+ * @param {Object|null} apiKey - Key entry from the auth middleware (null when auth is off)
+ */
+function checkSessionLimit(apiKey) {
+  if (!apiKey) {
+    return;
+  }
+  
+  const openSessions = Object.values(sessions).filter(session => session.apiKeyId === apiKey.id).length;
+  if (openSessions >= apiKey.maxSessions) {
+    throw new SessionLimitError(apiKey.id, apiKey.maxSessions);
+  }
+}
+
+/**
+ * Send an error response using the error's status and code
+ * @param {Object} res - Express response
+ * @param {Error} error - Error to report
+ */
+function sendError(res, error) {
+  res.status(error.statusCode || 500).json(errorBody(error));
+}
+
+/**
+ * Build the JSON body for an error
+ * @param {Error} error - Error to report
+ * @returns {Object} - { code, message, details? }
+ */
+function errorBody(error) {
+  const body = { code: error.code || 'INTERNAL_ERROR', message: error.message };
+  if (error.details) {
+    body.details = error.details;
+  }
+  return body;
 }
 
 // API Routes
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', sessions: Object.keys(sessions).length });
+  res.json({ status: 'ok', sessions: Object.keys(sessions).length, queue: messageQueue.getStats(), responseCache: responseCache.mode });
+});
+
+// Readiness: checks everything the amazon-q provider needs, one result per check
+app.get('/health/ready', async (req, res) => {
+  const report = await diagnostics.run({ profile: req.query.profile || 'IVR_tester' });
+  res.status(report.status === 'pass' ? 200 : 503).json(report);
+});
+
+// OpenAPI document for every route
+app.get('/openapi.json', (req, res) => {
+  res.json(openApi.spec);
+});
+
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
+// List profiles and the prompt templates they use
+app.get('/api/profiles', (req, res) => {
+  try {
+    const config = promptTemplates.getProfiles();
+    
+    res.json({
+      defaultTemplate: config.defaultTemplate,
+      profiles: Object.entries(config.profiles).map(([name, profile]) => ({
+        name,
+        template: profile.template || config.defaultTemplate,
+        description: profile.description || ''
+      })),
+      templates: promptTemplates.list().map(name => ({ name, content: promptTemplates.get(name) })),
+      placeholders: PLACEHOLDERS
+    });
+  } catch (error) {
+    logger.error(`Error listing profiles: ${error.message}`);
+    sendError(res, error);
+  }
 });
 
 // Create a new session
 app.post('/api/sessions', (req, res) => {
   try {
+    // Field types are checked against openapi.json before we get here
     const profile = req.body.profile || 'IVR_tester';
+    const { ttl, goal, testData, template } = req.body;
+    
+    if (template !== undefined && !promptTemplates.has(template)) {
+      throw new ValidationError(`Unknown prompt template "${template}". Available templates: ${promptTemplates.list().join(', ')}`);
+    }
+    
+    checkSessionLimit(req.apiKey);
+    
     const sessionId = uuidv4();
     
-    createSession(sessionId, profile);
+    createSession(sessionId, profile, {
+      provider: req.body.provider || DEFAULT_PROVIDER,
+      providerOptions: req.body.providerOptions || {},
+      ttl: ttl || null,
+      goal: goal || null,
+      testData: testData || {},
+      template: template || null,
+      apiKeyId: req.apiKey ? req.apiKey.id : null
+    });
     
-    logger.info(`Created new session: ${sessionId}`);
+    logger.info(`Created new session: ${sessionId}${req.apiKey ? ` (key ${req.apiKey.id})` : ''}`);
     res.json({ sessionId });
   } catch (error) {
-    logger.error('Error creating session:', error);
-    res.status(500).json({ error: error.message });
+    logger.error(`Error creating session: ${error.message}`);
+    if (error.code === 'UNKNOWN_PROVIDER') {
+      error.statusCode = 400;
+    }
+    sendError(res, error);
   }
 });
 
+// A key only sees the sessions it created
+app.use('/api/sessions/:sessionId', apiKeyAuth.sessionMiddleware(sessionId => sessions[sessionId]));
+
 // Get session info
 app.get('/api/sessions/:sessionId', (req, res) => {
   const { sessionId } = req.params;
   
   if (!sessions[sessionId]) {
-    return res.status(404).json({ error: 'Session not found' });
+    return sendError(res, new SessionNotFoundError(sessionId));
   }
   
   // Return session info without sensitive data
   res.json({
     sessionId,
     profile: sessions[sessionId].profile,
+    provider: providers[sessionId].describe(),
     messageCount: sessions[sessionId].messages.length,
-    lastActivity: new Date(sessions[sessionId].lastActivity).toISOString()
+    lastActivity: new Date(sessions[sessionId].lastActivity).toISOString(),
+    ttl: getSessionTtl(sessions[sessionId]),
+    forkedFrom: sessions[sessionId].forkedFrom || null,
+    goal: sessions[sessionId].goal || null,
+    testDataKeys: Object.keys(sessions[sessionId].testData || {}),
+    template: promptTemplates.resolve(sessions[sessionId]),
+    apiKeyId: sessions[sessionId].apiKeyId || null,
+    expiresAt: new Date(sessions[sessionId].lastActivity + getSessionTtl(sessions[sessionId])).toISOString()
   });
 });
 
@@ -297,7 +742,7 @@ app.get('/api/sessions/:sessionId/messages', (req, res) => {
   const { sessionId } = req.params;
   
   if (!sessions[sessionId]) {
-    return res.status(404).json({ error: 'Session not found' });
+    return sendError(res, new SessionNotFoundError(sessionId));
   }
   
   res.json({
@@ -309,22 +754,111 @@ app.get('/api/sessions/:sessionId/messages', (req, res) => {
 // Send a message to a session
 app.post('/api/sessions/:sessionId/messages', async (req, res) => {
   const { sessionId } = req.params;
-  const { message } = req.body;
+  const { message, structured } = req.body;
   
-  if (!message) {
-    return res.status(400).json({ error: 'No message provided' });
+  if (!sessions[sessionId]) {
+    return sendError(res, new SessionNotFoundError(sessionId));
   }
   
+  try {
+    const result = await sendMessage(sessionId, message, { structured: structured === true });
+    res.json({ sessionId, ...result });
+  } catch (error) {
+    logger.error(`Error sending message to session ${sessionId}: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+/**
+ * Stream a message response as Server-Sent Events
+ * 
+ * Emits `chunk` events with partial output, then a `done` event with the same
+ * body the blocking route returns, or an `error` event.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function streamMessage(req, res) {
+  const { sessionId } = req.params;
+  const message = req.method === 'GET' ? req.query.message : req.body.message;
+  const structured = req.method === 'GET' ? req.query.structured === 'true' : req.body.structured === true;
+  
   if (!sessions[sessionId]) {
-    return res.status(404).json({ error: 'Session not found' });
+    return sendError(res, new SessionNotFoundError(sessionId));
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  // The message still completes and lands in history if the client goes away
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
+  
+  const sendEvent = (event, data) => {
+    if (!clientGone) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  
+  sendEvent('queued', { sessionId, pending: messageQueue.getPending(sessionId) });
+  
+  try {
+    const result = await sendMessage(sessionId, message, {
+      structured,
+      onChunk: text => sendEvent('chunk', { text })
+    });
+    sendEvent('done', { sessionId, ...result });
+  } catch (error) {
+    logger.error(`Error streaming message to session ${sessionId}: ${error.message}`);
+    sendEvent('error', errorBody(error));
+  }
+  
+  res.end();
+}
+
+// Stream a message response
+app.get('/api/sessions/:sessionId/messages/stream', streamMessage);
+app.post('/api/sessions/:sessionId/messages/stream', streamMessage);
+
+// Fork a session at a message index
+app.post('/api/sessions/:sessionId/fork', async (req, res) => {
+  const { sessionId } = req.params;
+  const { messageIndex } = req.body;
+  
+  try {
+    checkSessionLimit(req.apiKey);
+    const newSessionId = await forkSession(sessionId, messageIndex);
+    res.json({
+      sessionId: newSessionId,
+      forkedFrom: sessionId,
+      messageCount: sessions[newSessionId].messages.length
+    });
+  } catch (error) {
+    logger.error(`Error forking session ${sessionId}: ${error.message}`);
+    sendError(res, error);
   }
+});
+
+// Rewind a session to a message index
+app.post('/api/sessions/:sessionId/rewind', async (req, res) => {
+  const { sessionId } = req.params;
+  const { messageIndex } = req.body;
   
   try {
-    const response = await sendMessage(sessionId, message);
-    res.json({ sessionId, response });
+    const removed = await rewindSession(sessionId, messageIndex);
+    res.json({
+      sessionId,
+      messageCount: sessions[sessionId].messages.length,
+      removed
+    });
   } catch (error) {
-    logger.error(`Error sending message to session ${sessionId}:`, error);
-    res.status(500).json({ error: error.message });
+    logger.error(`Error rewinding session ${sessionId}: ${error.message}`);
+    sendError(res, error);
   }
 });
 
@@ -337,7 +871,100 @@ app.delete('/api/sessions/:sessionId', (req, res) => {
     logger.info(`Session ${sessionId} terminated by request`);
     res.json({ success: true });
   } else {
-    res.status(404).json({ error: 'Session not found' });
+    sendError(res, new SessionNotFoundError(sessionId));
+  }
+});
+
+/**
+ * Summarize a session for the admin routes
+ * @param {string} sessionId - Session ID
+ * @param {number} now - Current time
+ * @returns {Object} - Session summary
+ */
+function adminSessionSummary(sessionId, now) {
+  const session = sessions[sessionId];
+  return {
+    sessionId,
+    profile: session.profile,
+    provider: session.provider,
+    apiKeyId: session.apiKeyId || null,
+    messageCount: session.messages.length,
+    pending: messageQueue.getPending(sessionId),
+    createdAt: new Date(session.createdAt).toISOString(),
+    lastActivity: new Date(session.lastActivity).toISOString(),
+    ageMs: now - session.createdAt,
+    idleMs: now - session.lastActivity,
+    ttl: getSessionTtl(session)
+  };
+}
+
+// Admin: list sessions, optionally filtered
+app.get('/admin/sessions', (req, res) => {
+  const { profile, provider, apiKeyId } = req.query;
+  const minAge = req.query.minAge !== undefined ? parseInt(req.query.minAge) : null;
+  const minIdle = req.query.minIdle !== undefined ? parseInt(req.query.minIdle) : null;
+  const now = Date.now();
+  
+  const matching = Object.keys(sessions)
+    .map(sessionId => adminSessionSummary(sessionId, now))
+    .filter(summary => (!profile || summary.profile === profile) &&
+      (!provider || summary.provider === provider) &&
+      (!apiKeyId || summary.apiKeyId === apiKeyId) &&
+      (minAge === null || summary.ageMs >= minAge) &&
+      (minIdle === null || summary.idleMs >= minIdle))
+    .sort((a, b) => b.idleMs - a.idleMs);
+  
+  res.json({ total: Object.keys(sessions).length, matched: matching.length, sessions: matching });
+});
+
+// Admin: end every session matching a profile and/or age
+app.post('/admin/sessions/end', (req, res) => {
+  const { profile, olderThan, idleLongerThan } = req.body;
+  
+  if (profile === undefined && olderThan === undefined && idleLongerThan === undefined) {
+    return sendError(res, new ValidationError('Give at least one of profile, olderThan or idleLongerThan'));
+  }
+  
+  const now = Date.now();
+  const ended = Object.keys(sessions).filter(sessionId => {
+    const session = sessions[sessionId];
+    return (profile === undefined || session.profile === profile) &&
+      (olderThan === undefined || now - session.createdAt >= olderThan) &&
+      (idleLongerThan === undefined || now - session.lastActivity >= idleLongerThan);
+  });
+  
+  ended.forEach(sessionId => cleanupSession(sessionId, 'admin'));
+  logger.info(`Admin ended ${ended.length} sessions (${JSON.stringify(req.body)})`);
+  res.json({ ended: ended.length, sessionIds: ended });
+});
+
+// Admin: show the prompt the next message would send
+app.get('/admin/sessions/:sessionId/prompt', (req, res) => {
+  const { sessionId } = req.params;
+  const session = sessions[sessionId];
+  
+  if (!session) {
+    return sendError(res, new SessionNotFoundError(sessionId));
+  }
+  
+  try {
+    const message = req.query.message || '<next IVR prompt>';
+    const instruction = req.query.structured === 'true' ? STRUCTURED_INSTRUCTION : ACTION_INSTRUCTION;
+    const history = historyCompactor.compact(sessionId, session.messages);
+    const { template, prompt } = promptTemplates.render(session, history, message, instruction);
+    
+    res.json({
+      sessionId,
+      provider: providers[sessionId].describe(),
+      template,
+      message,
+      historyMessages: session.messages.length,
+      compacted: history.some(entry => entry.role === 'summary'),
+      prompt
+    });
+  } catch (error) {
+    logger.error(`Error rendering prompt for session ${sessionId}: ${error.message}`);
+    sendError(res, error);
   }
 });
 
@@ -349,13 +976,50 @@ setInterval(() => {
     const session = sessions[sessionId];
     const inactiveTime = now - session.lastActivity;
     
-    if (inactiveTime > SESSION_TIMEOUT) {
+    if (inactiveTime > getSessionTtl(session)) {
       logger.info(`Session ${sessionId} timed out after ${inactiveTime}ms of inactivity`);
-      cleanupSession(sessionId);
+      cleanupSession(sessionId, 'timeout');
     }
   });
 }, SESSION_CHECK_INTERVAL);
 
+// Write changed sessions to the store in batches
+setInterval(() => {
+  sessionStore.flush();
+}, STORE_FLUSH_INTERVAL);
+
+/**
+ * Flush the session store and exit
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+function shutdown(signal) {
+  const written = sessionStore.flush();
+  logger.info(`Received ${signal}, flushed ${written} sessions to the ${sessionStore.name} store`);
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Anything that didn't match a route
+app.use((req, res) => {
+  sendError(res, new RouteNotFoundError(req.method, req.path));
+});
+
+// Errors passed on by middleware (auth, rate limits, validation, malformed JSON bodies)
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, new ValidationError(`Malformed JSON body: ${error.message}`));
+  }
+  sendError(res, error);
+});
+
+// Reload sessions from the previous run
+const restored = restoreSessions();
+if (restored > 0) {
+  logger.info(`Restored ${restored} sessions from the ${sessionStore.name} store`);
+}
+
 // Start the server
 const PORT = process.env.PORT || 8081;
 app.listen(PORT, () => {
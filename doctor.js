@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * IVR Test Doctor
+ *
+ * Checks everything a test run depends on before you start one:
+ * 1. The local q CLI, wrapper script, profile, temp directory and IVR
+ * 2. The Session API's own readiness checks (/health/ready)
+ * 3. A test call against the IVR the flow tester is configured for
+ *
+ * Exits non-zero when any check fails.
+ */
+
+const chalk = require('chalk');
+const { program } = require('commander');
+const os = require('os');
+const path = require('path');
+const IvrFlowTester = require('./lib/ivr_flow_tester');
+const { SessionApiClient } = require('./lib/session_api_client');
+const { Diagnostics, runCheck, summarize } = require('./api/lib/diagnostics');
+
+// Configure command line options
+program
+  .version('1.0.0')
+  .option('-u, --url <url>', 'Amazon Q Session API URL', 'http://localhost:8081')
+  .option('-p, --profile <profile>', 'Amazon Q profile to check for', 'IVR_tester')
+  .option('-k, --api-key <key>', 'API key for the Session API (defaults to $SESSION_API_KEY)', process.env.SESSION_API_KEY)
+  .option('-i, --ivr <url>', 'IVR system URL (defaults to the flow tester\'s baseUrl)')
+  .option('--account-sid <sid>', 'Twilio account SID for the test call (defaults to $TWILIO_ACCOUNT_SID)', process.env.TWILIO_ACCOUNT_SID)
+  .option('--auth-token <token>', 'Twilio auth token for signing the test call (defaults to $TWILIO_AUTH_TOKEN)', process.env.TWILIO_AUTH_TOKEN)
+  .option('--skip-call', 'Don\'t place the test call')
+  .parse(process.argv);
+
+const options = program.opts();
+
+const STATUS_LABELS = {
+  pass: chalk.green('PASS'),
+  fail: chalk.red('FAIL'),
+  skip: chalk.yellow('SKIP')
+};
+
+/**
+ * Print one group of check results
+ * @param {string} title - Group title
+ * @param {Array} checks - Check results
+ */
+function printChecks(title, checks) {
+  console.log(chalk.blue(title));
+  checks.forEach(check => {
+    console.log(`  ${STATUS_LABELS[check.status]} ${check.name.padEnd(18)} ${check.message} ${chalk.gray(`(${check.durationMs}ms)`)}`);
+  });
+  console.log('');
+}
+
+/**
+ * Ask the Session API for its readiness report
+ * @param {SessionApiClient} api - Session API client
+ * @returns {Promise<Array>} - The server's checks, prefixed with a reachability check
+ */
+async function checkSessionApi(api) {
+  let report = null;
+  const reachable = await runCheck('sessionApi', async () => {
+    try {
+      report = await api.getReadiness({ profile: options.profile });
+    } catch (error) {
+      // A 503 still carries the report; anything else means we never got one
+      if (!error.response || error.status !== 503) {
+        throw new Error(`${options.url} is unreachable: ${error.message}`);
+      }
+      report = error.response.data;
+    }
+    return `${options.url} responded`;
+  });
+
+  return report ? [reachable, ...report.checks] : [reachable];
+}
+
+/**
+ * Place a test call and hang up
+ * @param {IvrFlowTester} tester - Flow tester
+ * @returns {Promise<Object>} - Check result
+ */
+function checkStartCall(tester) {
+  return runCheck('ivrStartCall', async () => {
+    const call = await tester.startCall('Doctor');
+    if (!call.lastResponse || !call.lastResponse.Response) {
+      throw new Error(`${tester.config.baseUrl} did not answer with TwiML`);
+    }
+    const text = call.lastPrompt.text;
+    await call.hangup();
+    return text ? `Greeting: "${text.substring(0, 60)}${text.length > 60 ? '...' : ''}"` : 'Call started (no spoken text)';
+  });
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const tester = new IvrFlowTester({
+    ...(options.ivr ? { baseUrl: options.ivr } : {}),
+    accountSid: options.accountSid || null,
+    authToken: options.authToken || null,
+    debug: false,
+    logToFile: false,
+    outputDir: path.join(os.tmpdir(), 'ivr_doctor')
+  });
+  const api = new SessionApiClient({ baseUrl: options.url, apiKey: options.apiKey, timeout: 30000 });
+  const diagnostics = new Diagnostics({
+    ivrBaseUrl: tester.config.baseUrl,
+    ...(process.env.Q_PROFILES_DIR ? { profilesDir: process.env.Q_PROFILES_DIR } : {})
+  }, { warn: () => {} });
+
+  console.log(chalk.blue('IVR Test Doctor'));
+  console.log(chalk.blue('==============='));
+  console.log('');
+
+  const local = await diagnostics.run({ profile: options.profile });
+  printChecks('Local', local.checks);
+
+  const server = await checkSessionApi(api);
+  printChecks(`Session API (${options.url})`, server);
+
+  const ivr = options.skipCall
+    ? [{ name: 'ivrStartCall', status: 'skip', message: 'Skipped (--skip-call)', durationMs: 0 }]
+    : [await checkStartCall(tester)];
+  printChecks(`IVR (${tester.config.baseUrl})`, ivr);
+
+  const report = summarize([...local.checks, ...server, ...ivr]);
+  const failed = report.checks.filter(check => check.status === 'fail').length;
+  if (report.status === 'pass') {
+    console.log(chalk.green('All checks passed'));
+  } else {
+    console.log(chalk.red(`${failed} check${failed === 1 ? '' : 's'} failed`));
+    process.exitCode = 1;
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  console.error(chalk.red('\nFatal error:'), error.message);
+  process.exit(1);
+});
@@ -11,13 +11,13 @@
  * 5. Repeating until completion
  */
 
-const axios = require('axios');
 const chalk = require('chalk');
 const { program } = require('commander');
 const winston = require('winston');
 const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
+const { SessionApiClient } = require('./lib/session_api_client');
 
 // Configure command line options
 program
@@ -25,6 +25,7 @@ program
   .option('-u, --url <url>', 'Amazon Q Session API URL', 'http://localhost:8081')
   .option('-p, --profile <profile>', 'Amazon Q profile to use', 'IVR_tester')
   .option('-l, --log-dir <directory>', 'Directory for logs', './logs')
+  .option('-k, --api-key <key>', 'API key for the Session API (defaults to $SESSION_API_KEY)', process.env.SESSION_API_KEY)
   .option('-c, --call <number>', 'Phone number to call', '')
   .option('-m, --max-steps <number>', 'Maximum number of steps', '20')
   .option('-w, --wait-time <ms>', 'Wait time between steps (ms)', '2000')
@@ -67,12 +68,14 @@ class IvrAutoNavigator {
   constructor(config = {}) {
     this.config = {
       apiUrl: options.url,
+      apiKey: options.apiKey,
       profile: options.profile,
       maxSteps: parseInt(options.maxSteps),
       waitTime: parseInt(options.waitTime),
       ...config
     };
     
+    this.api = new SessionApiClient({ baseUrl: this.config.apiUrl, apiKey: this.config.apiKey });
     this.sessionId = null;
     this.history = [];
     this.currentStep = 0;
@@ -84,11 +87,9 @@ class IvrAutoNavigator {
       console.log(chalk.yellow('Creating new Amazon Q session...'));
       logger.info('Creating new session with profile', { profile: this.config.profile });
       
-      const response = await axios.post(`${this.config.apiUrl}/api/sessions`, {
-        profile: this.config.profile
-      });
+      const session = await this.api.createSession({ profile: this.config.profile });
       
-      this.sessionId = response.data.sessionId;
+      this.sessionId = session.sessionId;
       console.log(chalk.green(`Session created with ID: ${this.sessionId}`));
       logger.info('Session created', { sessionId: this.sessionId });
       
@@ -115,12 +116,9 @@ class IvrAutoNavigator {
         message: message.substring(0, 100) + (message.length > 100 ? '...' : '') 
       });
       
-      const response = await axios.post(
-        `${this.config.apiUrl}/api/sessions/${this.sessionId}/messages`,
-        { message }
-      );
+      const result = await this.api.sendMessage(this.sessionId, { message });
       
-      const answer = response.data.response;
+      const answer = result.response;
       
       // Add to history
       this.history.push({
@@ -160,7 +158,7 @@ class IvrAutoNavigator {
       logger.info('Ending session', { sessionId: this.sessionId });
       console.log(chalk.yellow(`Ending session ${this.sessionId}...`));
       
-      await axios.delete(`${this.config.apiUrl}/api/sessions/${this.sessionId}`);
+      await this.api.endSession(this.sessionId);
       
       console.log(chalk.green('Session ended successfully'));
       logger.info('Session ended successfully', { sessionId: this.sessionId });
@@ -5,11 +5,11 @@
  * to create an AI-powered IVR navigation system.
  */
 
-const axios = require('axios');
 const path = require('path');
 const fs = require('fs');
 const chalk = require('chalk');
 const winston = require('winston');
+const { SessionApiClient } = require('./lib/session_api_client');
 
 // Configure logger
 const logDir = './logs';
@@ -45,11 +45,15 @@ class IvrIntegration {
   constructor(config = {}) {
     this.config = {
       apiUrl: 'http://localhost:8081',
+      apiKey: null, // Bearer key for the Session API, when it has API keys configured
       profile: 'IVR_tester',
       outputDir: './ivr_results',
+      goal: null, // What the caller is trying to do, e.g. "listen to weekly pharmacy hours"
+      testData: {}, // Values to enter when the IVR asks, e.g. { 'RX number': '9009400' }
       ...config
     };
     
+    this.api = new SessionApiClient({ baseUrl: this.config.apiUrl, apiKey: this.config.apiKey });
     this.sessionId = null;
     this.ivrTester = null;
     this.history = [];
@@ -76,13 +80,19 @@ class IvrIntegration {
   async startSession() {
     try {
       console.log(chalk.yellow('Creating new Amazon Q session...'));
-      logger.info('Creating new session with profile', { profile: this.config.profile });
+      logger.info('Creating new session with profile', { profile: this.config.profile, goal: this.config.goal });
       
-      const response = await axios.post(`${this.config.apiUrl}/api/sessions`, {
-        profile: this.config.profile
-      });
+      const sessionRequest = { profile: this.config.profile };
+      if (this.config.goal) {
+        sessionRequest.goal = this.config.goal;
+      }
+      if (Object.keys(this.config.testData).length > 0) {
+        sessionRequest.testData = this.config.testData;
+      }
+      
+      const session = await this.api.createSession(sessionRequest);
       
-      this.sessionId = response.data.sessionId;
+      this.sessionId = session.sessionId;
       console.log(chalk.green(`Session created with ID: ${this.sessionId}`));
       logger.info('Session created', { sessionId: this.sessionId });
       
@@ -109,7 +119,7 @@ class IvrIntegration {
       logger.info('Ending session', { sessionId: this.sessionId });
       console.log(chalk.yellow(`Ending session ${this.sessionId}...`));
       
-      await axios.delete(`${this.config.apiUrl}/api/sessions/${this.sessionId}`);
+      await this.api.endSession(this.sessionId);
       
       console.log(chalk.green('Session ended successfully'));
       logger.info('Session ended successfully', { sessionId: this.sessionId });
@@ -225,12 +235,9 @@ class IvrIntegration {
       });
       
       // Send the prompt to Amazon Q Session API
-      const response = await axios.post(
-        `${this.config.apiUrl}/api/sessions/${this.sessionId}/messages`,
-        { message: ivrPrompt }
-      );
+      const result = await this.api.sendMessage(this.sessionId, { message: ivrPrompt });
       
-      const answer = response.data.response;
+      const answer = result.response;
       
       logger.info('Received response from Amazon Q', { 
         sessionId: this.sessionId,
@@ -272,24 +279,32 @@ class IvrIntegration {
     console.log(chalk.blue('Starting automated IVR navigation'));
     logger.info('Starting automated navigation', { testName });
     
+    let call = null;
     try {
       // Start a new session with Amazon Q
       await this.startSession();
       
       // Start a new call with the IVR system
       console.log(chalk.yellow('Starting call to IVR system...'));
-      const initialResponse = await this.ivrTester.startCall(testName);
+      call = await this.ivrTester.startCall(testName);
       
       // Wait for greeting to finish
       await new Promise(resolve => setTimeout(resolve, this.ivrTester.config.defaultWaitTime));
       
       // Extract the initial prompt
-      let currentPrompt = this.ivrTester.extractTextFromResponse(initialResponse);
+      let currentPrompt = this.ivrTester.extractTextFromResponse(call.lastResponse);
       let testCompleted = false;
       this.currentStep = 0;
       
       // Main navigation loop
       while (!testCompleted) {
+        // The IVR ended the call; there is nothing left to answer
+        if (!call.active) {
+          console.log('IVR hung up - ending call');
+          await call.hangup();
+          break;
+        }
+        
         this.currentStep++;
         console.log(`\n=== Step ${this.currentStep} ===`);
         console.log(`Current IVR prompt: "${currentPrompt.substring(0, 100)}${currentPrompt.length > 100 ? '...' : ''}"`);
@@ -301,6 +316,7 @@ class IvrIntegration {
         const historyEntry = {
           step: this.currentStep,
           prompt: currentPrompt,
+          promptModel: call.lastPrompt,
           response: action,
           action: action,
           timestamp: new Date().toISOString()
@@ -309,7 +325,7 @@ class IvrIntegration {
         // Check if we should hang up
         if (action.toLowerCase() === 'hang up') {
           console.log('Amazon Q says to hang up - ending call');
-          await this.ivrTester.endCall();
+          await call.hangup();
           testCompleted = true;
           historyEntry.ivrResponse = 'Call ended';
           this.history.push(historyEntry);
@@ -321,96 +337,45 @@ class IvrIntegration {
         let response;
         
         // Handle different types of actions
-        if (/^\d+$/.test(action) || action === '*' || action === '#') {
+        let digits = null;
+        const digitMatch = action.match(/\d+/);
+        const speechAllowed = call.acceptsInput('speech');
+        if (/^[\d*#]+$/.test(action)) {
           // If action is digits or special characters, send as DTMF
-          
-          // Check if this is a multi-digit input that needs to be split
-          if (/^\d{2,}$/.test(action)) {
-            // For multi-digit inputs, we need to split them
-            // First digit goes in first call, remaining digits in second call
-            const firstDigit = action.charAt(0);
-            const remainingDigits = action.substring(1);
-            
-            console.log(`Multi-digit input detected: ${action}`);
-            console.log(`Sending first digit: ${firstDigit}`);
-            
-            // Send the first digit
-            response = await this.ivrTester.sendDtmf(firstDigit);
-            
-            // Wait for IVR to process
-            await new Promise(resolve => setTimeout(resolve, this.ivrTester.config.defaultWaitTime / 2));
-            
-            console.log(`Sending remaining digits: ${remainingDigits}`);
-            
-            // Send the remaining digits
-            response = await this.ivrTester.sendDtmf(remainingDigits);
-            
-            // Check if we need an additional call to process the input
-            let responseText = this.ivrTester.extractTextFromResponse(response);
-            if (responseText.trim() === '') {
-              console.log('No immediate response after sending digits. Making additional call...');
-              
-              // Wait a moment
-              await new Promise(resolve => setTimeout(resolve, this.ivrTester.config.defaultWaitTime / 2));
-              
-              // Make an additional call with no input to get the response
-              response = await this.ivrTester.continueCall();
-            }
-            
-            // Log the split operation
-            logger.info('Split multi-digit input', { 
-              firstDigit, 
-              remainingDigits,
-              fullInput: action
-            });
-          } else {
-            // Single digit, send as is
-            response = await this.ivrTester.sendDtmf(action);
-          }
+          digits = action;
+        } else if (speechAllowed && (!digitMatch || !call.acceptsInput('dtmf'))) {
+          // The Gather listens for speech, so say the words instead of guessing a key
+          console.log(`Saying "${action}" (the IVR accepts speech)`);
+          response = await call.sendSpeech(action);
+          historyEntry.inputType = 'speech';
+          logger.info('Sent speech', { speech: action });
         } else {
-          // For now, we only support DTMF
           console.log(`Warning: Non-DTMF action "${action}" - treating as DTMF`);
           
           // Check if the non-DTMF action contains digits we can extract
-          const digitMatch = action.match(/\d+/);
           if (digitMatch) {
-            const digits = digitMatch[0];
+            digits = digitMatch[0];
             console.log(`Extracted digits from action: ${digits}`);
-            
-            // Handle multi-digit input
-            if (digits.length > 1) {
-              const firstDigit = digits.charAt(0);
-              const remainingDigits = digits.substring(1);
-              
-              console.log(`Sending first digit: ${firstDigit}`);
-              response = await this.ivrTester.sendDtmf(firstDigit);
-              
-              // Wait for IVR to process
-              await new Promise(resolve => setTimeout(resolve, this.ivrTester.config.defaultWaitTime / 2));
-              
-              console.log(`Sending remaining digits: ${remainingDigits}`);
-              response = await this.ivrTester.sendDtmf(remainingDigits);
-              
-              // Check if we need an additional call to process the input
-              let responseText = this.ivrTester.extractTextFromResponse(response);
-              if (responseText.trim() === '') {
-                console.log('No immediate response after sending digits. Making additional call...');
-                
-                // Wait a moment
-                await new Promise(resolve => setTimeout(resolve, this.ivrTester.config.defaultWaitTime / 2));
-                
-                // Make an additional call with no input to get the response
-                response = await this.ivrTester.continueCall();
-              }
-            } else {
-              response = await this.ivrTester.sendDtmf(digits);
-            }
           } else {
-            // No digits found, try to send the first character
-            response = await this.ivrTester.sendDtmf(action.charAt(0));
+            // No digits found and no speech input, try to send the first character
+            digits = action.charAt(0);
           }
         }
         
+        if (digits !== null) {
+          // The flow tester picks how to send the digits from the current Gather
+          const sent = await call.sendDigits(digits);
+          response = sent.response;
+          historyEntry.inputType = 'dtmf';
+          historyEntry.dtmfStrategy = sent.strategy;
+          console.log(`Sent ${digits} using the ${sent.strategy} strategy (${sent.chunks.length} request${sent.chunks.length === 1 ? '' : 's'})`);
+          logger.info('Sent DTMF', { 
+            digits,
+            strategy: sent.strategy,
+            chunks: sent.chunks
+          });
+        }
+        
         // Wait for IVR to process
         await new Promise(resolve => setTimeout(resolve, this.ivrTester.config.defaultWaitTime));
         
@@ -423,7 +388,7 @@ class IvrIntegration {
           console.log('Blank response detected after multi-digit input. Sending empty continue...');
           
           // Send a continue call (no digits) to get the next prompt
-          response = await this.ivrTester.continueCall();
+          response = await call.continueCall();
           
           // Wait again for processing
           await new Promise(resolve => setTimeout(resolve, this.ivrTester.config.defaultWaitTime));
@@ -434,12 +399,13 @@ class IvrIntegration {
         }
         
         historyEntry.ivrResponse = currentPrompt;
+        historyEntry.ivrResponseModel = call.lastPrompt;
         this.history.push(historyEntry);
         
         // Safety check - limit the number of steps
         if (this.currentStep >= 20) {
           console.log('Maximum steps reached - ending test');
-          await this.ivrTester.endCall();
+          await call.hangup();
           testCompleted = true;
           break;
         }
@@ -463,8 +429,8 @@ class IvrIntegration {
       
       // Try to clean up
       try {
-        if (this.ivrTester && this.ivrTester.callActive) {
-          await this.ivrTester.endCall();
+        if (call && call.open) {
+          await call.hangup();
         }
       } catch (endError) {
         logger.error('Error ending IVR call', { error: endError.message });
@@ -6,7 +6,6 @@
  * A simple, focused tool for navigating IVR systems using Amazon Q.
  */
 
-const axios = require('axios');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const figlet = require('figlet');
@@ -14,6 +13,7 @@ const { program } = require('commander');
 const winston = require('winston');
 const fs = require('fs');
 const path = require('path');
+const { SessionApiClient } = require('./lib/session_api_client');
 
 // Configure command line options
 program
@@ -21,6 +21,8 @@ program
   .option('-u, --url <url>', 'Amazon Q Session API URL', 'http://localhost:8081')
   .option('-p, --profile <profile>', 'Amazon Q profile to use', 'IVR_tester')
   .option('-l, --log-dir <directory>', 'Directory for logs', './logs')
+  .option('-k, --api-key <key>', 'API key for the Session API (defaults to $SESSION_API_KEY)', process.env.SESSION_API_KEY)
+  .option('--no-stream', 'Wait for the full response instead of streaming it')
   .parse(process.argv);
 
 const options = program.opts();
@@ -64,10 +66,12 @@ class IvrNavigator {
   constructor(config = {}) {
     this.config = {
       apiUrl: options.url,
+      apiKey: options.apiKey,
       profile: options.profile,
       ...config
     };
     
+    this.api = new SessionApiClient({ baseUrl: this.config.apiUrl, apiKey: this.config.apiKey });
     this.sessionId = null;
     this.history = [];
   }
@@ -78,11 +82,9 @@ class IvrNavigator {
       console.log(chalk.yellow('Creating new Amazon Q session...'));
       logger.info('Creating new session with profile', { profile: this.config.profile });
       
-      const response = await axios.post(`${this.config.apiUrl}/api/sessions`, {
-        profile: this.config.profile
-      });
+      const session = await this.api.createSession({ profile: this.config.profile });
       
-      this.sessionId = response.data.sessionId;
+      this.sessionId = session.sessionId;
       console.log(chalk.green(`Session created with ID: ${this.sessionId}`));
       logger.info('Session created', { sessionId: this.sessionId });
       
@@ -97,8 +99,8 @@ class IvrNavigator {
     }
   }
   
-  // Send a message to the session
-  async sendMessage(message) {
+  // Send a message to the session, streaming partial output to onChunk if given
+  async sendMessage(message, onChunk = null) {
     if (!this.sessionId) {
       await this.createSession();
     }
@@ -109,12 +111,13 @@ class IvrNavigator {
         message: message.substring(0, 100) + (message.length > 100 ? '...' : '') 
       });
       
-      const response = await axios.post(
-        `${this.config.apiUrl}/api/sessions/${this.sessionId}/messages`,
-        { message }
-      );
-      
-      const answer = response.data.response;
+      let answer;
+      if (onChunk) {
+        answer = await this.streamMessage(message, onChunk);
+      } else {
+        const result = await this.api.sendMessage(this.sessionId, { message });
+        answer = result.response;
+      }
       
       // Add to history
       this.history.push({
@@ -143,6 +146,52 @@ class IvrNavigator {
     }
   }
   
+  // Send a message over the Server-Sent Events route and resolve with the final response
+  async streamMessage(message, onChunk) {
+    const response = await this.api.streamMessage(this.sessionId, { message });
+    
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      let finished = false;
+      
+      const handleEvent = (event, data) => {
+        if (event === 'chunk') {
+          onChunk(data.text);
+        } else if (event === 'done') {
+          finished = true;
+          resolve(data.response);
+        } else if (event === 'error') {
+          finished = true;
+          reject(new Error(`${data.message} (${data.code})`));
+        }
+      };
+      
+      response.data.on('data', data => {
+        buffer += data.toString();
+        
+        // Events are separated by a blank line
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+        
+        events.forEach(block => {
+          const eventLine = block.split('\n').find(line => line.startsWith('event: '));
+          const dataLine = block.split('\n').find(line => line.startsWith('data: '));
+          if (eventLine && dataLine) {
+            handleEvent(eventLine.substring(7), JSON.parse(dataLine.substring(6)));
+          }
+        });
+      });
+      
+      response.data.on('end', () => {
+        if (!finished) {
+          reject(new Error('Stream ended before the response was complete'));
+        }
+      });
+      
+      response.data.on('error', reject);
+    });
+  }
+  
   // End the session
   async endSession() {
     if (!this.sessionId) {
@@ -153,7 +202,7 @@ class IvrNavigator {
       logger.info('Ending session', { sessionId: this.sessionId });
       console.log(chalk.yellow(`Ending session ${this.sessionId}...`));
       
-      await axios.delete(`${this.config.apiUrl}/api/sessions/${this.sessionId}`);
+      await this.api.endSession(this.sessionId);
       
       console.log(chalk.green('Session ended successfully'));
       logger.info('Session ended successfully', { sessionId: this.sessionId });
@@ -315,6 +364,7 @@ async function main() {
   console.log(chalk.blue('Amazon Q Session API URL:'), options.url);
   console.log(chalk.blue('Using profile:'), options.profile);
   console.log(chalk.blue('Log directory:'), options.logDir);
+  console.log(chalk.blue('Streaming:'), options.stream ? 'on' : 'off');
   console.log('');
   
   const navigator = new IvrNavigator();
@@ -348,7 +398,18 @@ async function main() {
           const prompt = await readMultilineInput();
           
           console.log(chalk.green('\nSending prompt to Amazon Q...'));
-          const response = await navigator.sendMessage(prompt);
+          
+          let response;
+          if (options.stream) {
+            // Print the model output live, then the clean response once it's complete.
+            // The recommended action waits for the `done` event: it is the last line of
+            // the answer, and the chunks are raw q output that can end with more than that
+            console.log(chalk.blue('\nLive output:'));
+            response = await navigator.sendMessage(prompt, text => process.stdout.write(chalk.gray(text)));
+            process.stdout.write('\n');
+          } else {
+            response = await navigator.sendMessage(prompt);
+          }
           
           if (response) {
             console.log(chalk.blue('\nAmazon Q Response:'));
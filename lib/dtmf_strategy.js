@@ -0,0 +1,79 @@
+/**
+ * DTMF Strategies
+ *
+ * Decides how to send a run of digits to the IVR: in one request, with the
+ * Gather's finishOnKey appended, one digit per request, or the first digit
+ * and then the rest. The choice follows the current <Gather> unless the IVR
+ * config forces one.
+ */
+
+const { GATHER_DEFAULTS } = require('./twiml_model');
+
+/**
+ * Append the Gather's finishOnKey unless the digits already end with it
+ * @param {string} digits - Digits to send
+ * @param {Object} gather - Gather settings; Twilio's default # when null (the strategy can be forced in config)
+ * @returns {string} - Digits to send
+ */
+function withFinishOnKey(digits, gather) {
+  const finishOnKey = gather ? gather.finishOnKey : GATHER_DEFAULTS.finishOnKey;
+  return digits.endsWith(finishOnKey) ? digits : digits + finishOnKey;
+}
+
+// Each strategy splits the digits into the chunks to send, one request per chunk
+const DTMF_STRATEGIES = {
+  'all-at-once': digits => [digits],
+  'finish-on-key': (digits, gather) => [withFinishOnKey(digits, gather)],
+  'per-digit': digits => digits.split(''),
+  'first-then-rest': digits => (digits.length > 1 ? [digits.charAt(0), digits.substring(1)] : [digits])
+};
+
+/**
+ * Choose a strategy for a run of digits
+ * @param {string} digits - Digits to send
+ * @param {Object} gather - Gather settings from the prompt model (null when the IVR isn't gathering)
+ * @param {string} override - Strategy name from config, or 'auto'
+ * @returns {Object} - { name, reason }
+ */
+function chooseDtmfStrategy(digits, gather, override = 'auto') {
+  if (override && override !== 'auto') {
+    if (!DTMF_STRATEGIES[override]) {
+      throw new Error(`Unknown DTMF strategy: ${override}. Available strategies: auto, ${Object.keys(DTMF_STRATEGIES).join(', ')}`);
+    }
+    return { name: override, reason: 'set in config' };
+  }
+
+  if (digits.length === 1) {
+    return { name: 'all-at-once', reason: 'single key' };
+  }
+  if (!gather) {
+    return { name: 'first-then-rest', reason: 'no Gather in the last response' };
+  }
+  if (gather.numDigits === 1) {
+    return { name: 'per-digit', reason: 'Gather takes one digit at a time' };
+  }
+  if (gather.numDigits && digits.length >= gather.numDigits) {
+    return { name: 'all-at-once', reason: `Gather ends after ${gather.numDigits} digits` };
+  }
+  if (gather.finishOnKey) {
+    return { name: 'finish-on-key', reason: `Gather ends on ${gather.finishOnKey}` };
+  }
+  return { name: 'all-at-once', reason: 'Gather ends on its timeout' };
+}
+
+/**
+ * Split digits into the chunks a strategy sends
+ * @param {string} name - Strategy name
+ * @param {string} digits - Digits to send
+ * @param {Object} gather - Gather settings (only finish-on-key reads them; may be null)
+ * @returns {Array} - Chunks, one request each
+ */
+function splitDigits(name, digits, gather) {
+  return DTMF_STRATEGIES[name](digits, gather);
+}
+
+module.exports = {
+  DTMF_STRATEGIES,
+  chooseDtmfStrategy,
+  splitDigits
+};
@@ -0,0 +1,442 @@
+/**
+ * IVR Call
+ *
+ * One call to the IVR: its CallSid, where the next request goes, the last
+ * prompt, its own state tracker and step log. Calls share the flow tester's
+ * configuration, transport (signing, cassette) and log output, and nothing
+ * else, so any number of them can run side by side in one process.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const xml2js = require('xml2js');
+const fs = require('fs');
+const { FixedIvrStateTracker } = require('./ivr_state_tracker_fixed');
+const { buildPromptModel, describePromptModel } = require('./twiml_model');
+const { chooseDtmfStrategy, splitDigits } = require('./dtmf_strategy');
+
+// explicitChildren/preserveChildrenOrder add an ordered $$ list next to the named properties
+const XML_PARSER_OPTIONS = { explicitArray: false, explicitChildren: true, preserveChildrenOrder: true };
+
+// Stand-in account SID for unsigned requests
+const PLACEHOLDER_ACCOUNT_SID = `AC${'0'.repeat(32)}`;
+
+/**
+ * Format a phone number the way Twilio sends it (E.164)
+ * @param {string} number - Phone number, e.g. 7249143802
+ * @returns {string} - e.g. +17249143802
+ */
+function toE164(number) {
+  const digits = String(number).replace(/\D/g, '');
+  if (String(number).startsWith('+')) {
+    return `+${digits}`;
+  }
+  return digits.length === 10 ? `+1${digits}` : `+${digits}`;
+}
+
+class IvrCall {
+  /**
+   * @param {IvrFlowTester} tester - Flow tester providing config, transport and log output
+   * @param {string} name - Test name; the CallSid is <name>_<8 hex digits>
+   * @param {Object} options - Call options
+   * @param {string} options.from - Caller number (default: the tester's from)
+   * @param {string} options.to - Called number (default: the tester's to)
+   * @param {Function} options.onStep - Called with every step recorded
+   */
+  constructor(tester, name = 'FlowTest', options = {}) {
+    this.tester = tester;
+    this.config = tester.config;
+    this.options = {
+      from: this.config.from,
+      to: this.config.to,
+      onStep: null,
+      ...options
+    };
+
+    this.sid = `${name}_${uuidv4().substring(0, 8)}`;
+    this.stateTracker = new FixedIvrStateTracker(this.log.bind(this));
+    this.parser = new xml2js.Parser(XML_PARSER_OPTIONS);
+    this.steps = [];
+    this.timings = []; // One entry per request: { kind, method, url, status, durationMs, error }
+
+    this.lastResponse = null;
+    this.lastPrompt = null;
+    this.nextRequest = null; // Where input goes next: { url, method }
+    this.noInputRequest = null; // Where a request without input goes next
+    this.active = false; // True while the IVR is still taking input
+    this.endedByIvr = false; // Set once the IVR answers with <Hangup/>
+    this.completed = false; // Set once the completed status callback is sent
+    this.startedAt = null;
+  }
+
+  /**
+   * Whether the call was placed and its completed status callback is still
+   * owed, including after the IVR hung up
+   * @returns {boolean} - True until hangup() has been sent
+   */
+  get open() {
+    return Boolean(this.startedAt) && !this.completed;
+  }
+
+  /**
+   * Log a message through the tester and record it in this call's steps
+   * @param {string} message - Message to log
+   * @param {any} data - Optional data to log
+   * @param {string} level - Log level
+   * @param {Object} step - Extra fields for the step, e.g. { text, prompt }
+   */
+  log(message, data = null, level = 'info', step = {}) {
+    const timestamp = this.tester.write(`[${this.sid}] ${message}`, data, level);
+
+    if (level !== 'error') {
+      const entry = {
+        timestamp,
+        message,
+        data: data || '',
+        state: this.stateTracker ? this.stateTracker.getState() : null,
+        ...step
+      };
+      this.steps.push(entry);
+      if (this.options.onStep) {
+        this.options.onStep(entry);
+      }
+    }
+  }
+
+  /**
+   * Parameters sent with every request for this call
+   * @param {Object} extra - Additional parameters, e.g. { Digits }
+   * @returns {Object} - Request parameters
+   */
+  callParams(extra = {}) {
+    const from = toE164(this.options.from);
+    const to = toE164(this.options.to);
+    const country = this.config.callerCountry;
+
+    // The full set Twilio posts to a voice webhook; location fields are blank when Twilio can't look them up
+    return {
+      AccountSid: this.config.accountSid || PLACEHOLDER_ACCOUNT_SID,
+      ApiVersion: '2010-04-01',
+      CallSid: this.sid,
+      CallStatus: 'in-progress',
+      Direction: 'inbound',
+      From: from,
+      Caller: from,
+      FromCity: '',
+      FromState: '',
+      FromZip: '',
+      FromCountry: country,
+      CallerCity: '',
+      CallerState: '',
+      CallerZip: '',
+      CallerCountry: country,
+      To: to,
+      Called: to,
+      ToCity: '',
+      ToState: '',
+      ToZip: '',
+      ToCountry: country,
+      CalledCity: '',
+      CalledState: '',
+      CalledZip: '',
+      CalledCountry: country,
+      ...extra
+    };
+  }
+
+  /**
+   * Parse XML response with this call's parser
+   * @param {string} xmlData - XML data to parse
+   * @returns {Object} - Parsed response, or null if it isn't XML
+   */
+  async parseXmlResponse(xmlData) {
+    try {
+      return await this.parser.parseStringPromise(xmlData);
+    } catch (error) {
+      this.log(`Error parsing XML: ${error.message}`, xmlData, 'error');
+      return null;
+    }
+  }
+
+  /**
+   * Parse a raw TwiML response, update the state tracker and record the step
+   * @param {string} xmlData - Raw XML from the IVR
+   * @param {Object} request - The request that got this response: { url, method }
+   * @returns {Object} - Parsed response
+   */
+  async handleResponse(xmlData, request = null) {
+    // Log raw XML for debugging
+    if (this.config.logToFile) {
+      fs.appendFileSync(this.config.logFile, `--- RAW XML RESPONSE (${this.sid}) ---\n` + xmlData + '\n----------------------\n\n');
+    }
+
+    const parsedResponse = await this.parseXmlResponse(xmlData);
+    this.lastResponse = parsedResponse;
+    this.lastPrompt = buildPromptModel(parsedResponse);
+
+    // Update state from the flattened text
+    this.stateTracker.updateState(this.lastPrompt.text);
+    this.log(`IVR response: ${describePromptModel(this.lastPrompt) || 'empty'}`, this.lastPrompt.text, 'info', {
+      text: this.lastPrompt.text,
+      prompt: this.lastPrompt,
+      request
+    });
+
+    // Nothing after <Hangup/> reaches the caller, so the call takes no more input
+    if (this.lastPrompt.hangup) {
+      this.active = false;
+      this.endedByIvr = true;
+      this.log('IVR hung up');
+    }
+
+    return parsedResponse;
+  }
+
+  /**
+   * Send one request through the tester and time it
+   * @param {string} kind - What the request is for: start, digits, speech, continue, redirect or hangup
+   * @param {Object} request - { url, method }
+   * @param {Object} params - Request parameters
+   * @returns {Object} - Response
+   */
+  async request(kind, request, params) {
+    const startedAt = Date.now();
+    const timing = { kind, method: request.method, url: request.url };
+
+    try {
+      const response = await this.tester.requestTwiml(request, params);
+      this.timings.push({ ...timing, status: response.status, durationMs: Date.now() - startedAt });
+      return response;
+    } catch (error) {
+      this.timings.push({
+        ...timing,
+        status: error.response ? error.response.status : null,
+        durationMs: Date.now() - startedAt,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a request, follow any Redirect chain it starts, and work out where
+   * the next request should go
+   * @param {Object} request - { url, method }
+   * @param {Object} params - Request parameters
+   * @param {string} kind - What the request is for (see request())
+   * @returns {Object} - Parsed response at the end of the chain
+   */
+  async exchange(request, params, kind) {
+    let response = await this.request(kind, request, params);
+    let parsedResponse = await this.handleResponse(response.data, request);
+
+    // A Redirect with nothing to gather first is followed straight away, like Twilio does
+    let hops = 0;
+    while (this.lastPrompt.redirect && !this.lastPrompt.gather && !this.lastPrompt.hangup) {
+      hops++;
+      if (hops > this.config.maxRedirects) {
+        throw new Error(`Redirect loop: gave up after ${this.config.maxRedirects} redirects (last ${request.method} ${request.url})`);
+      }
+
+      request = this.tester.resolveRequest(this.lastPrompt.redirect.url, this.lastPrompt.redirect.method, request.url);
+      this.log(`Following Redirect to ${request.method} ${request.url} (hop ${hops})`, null, 'info', { hop: { ...request, number: hops } });
+
+      response = await this.request('redirect', request, this.callParams());
+      parsedResponse = await this.handleResponse(response.data, request);
+    }
+
+    // Input goes to the Gather's action (or back to this URL); no input falls through to a Redirect
+    const gather = this.lastPrompt.gather;
+    this.nextRequest = gather ? this.tester.resolveRequest(gather.action, gather.method, request.url) : request;
+    this.noInputRequest = gather && this.lastPrompt.redirect
+      ? this.tester.resolveRequest(this.lastPrompt.redirect.url, this.lastPrompt.redirect.method, request.url)
+      : this.nextRequest;
+
+    return parsedResponse;
+  }
+
+  /**
+   * Place the call
+   * @returns {Object} - Response from IVR
+   */
+  async start() {
+    this.log(`Starting call with SID: ${this.sid}`);
+
+    try {
+      const parsedResponse = await this.exchange({ url: `${this.config.baseUrl}/twilio/v1/voice`, method: 'POST' }, this.callParams(), 'start');
+
+      this.log('Call started successfully');
+      this.active = !this.endedByIvr;
+      this.startedAt = Date.now();
+
+      return parsedResponse;
+    } catch (error) {
+      this.log(`Error starting call: ${error.message}`, error.response?.data, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Check the call can take input
+   * @param {string} what - What was attempted, for the error
+   */
+  requireActive(what) {
+    if (this.active) {
+      return;
+    }
+    const reason = this.endedByIvr ? 'call ended by IVR' : 'No active call';
+    this.log(`Cannot ${what}: ${reason}`, null, 'error');
+    throw new Error(this.endedByIvr ? `Cannot ${what}: call ${this.sid} ended by IVR (<Hangup/>)` : reason);
+  }
+
+  /**
+   * Send DTMF tones - supports multi-digit input
+   * @param {string} digits - DTMF digits to send
+   * @returns {Object} - Response from IVR
+   */
+  async sendDtmf(digits) {
+    this.requireActive('send DTMF');
+
+    this.log(`Sending DTMF: ${digits} to ${this.nextRequest.method} ${this.nextRequest.url}`);
+
+    try {
+      const parsedResponse = await this.exchange(this.nextRequest, this.callParams({ Digits: digits }), 'digits');
+
+      this.log(`DTMF ${digits} sent successfully`);
+
+      return parsedResponse;
+    } catch (error) {
+      this.log(`Error sending DTMF ${digits}: ${error.message}`, error.response?.data, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Send speech input, the way Twilio reports a recognized utterance
+   * @param {string} text - What the caller said
+   * @param {number} confidence - Recognition confidence from 0 to 1
+   * @returns {Object} - Response from IVR
+   */
+  async sendSpeech(text, confidence = 0.9) {
+    this.requireActive('send speech');
+
+    this.log(`Sending speech: "${text}" (confidence ${confidence}) to ${this.nextRequest.method} ${this.nextRequest.url}`);
+
+    try {
+      const parsedResponse = await this.exchange(this.nextRequest, this.callParams({
+        SpeechResult: text,
+        Confidence: String(confidence)
+      }), 'speech');
+
+      this.log(`Speech "${text}" sent successfully`);
+
+      return parsedResponse;
+    } catch (error) {
+      this.log(`Error sending speech "${text}": ${error.message}`, error.response?.data, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Check which input types the current Gather accepts
+   * @param {string} type - 'dtmf' or 'speech'
+   * @returns {boolean} - True if the IVR is gathering that input
+   */
+  acceptsInput(type) {
+    return Boolean(this.lastPrompt && this.lastPrompt.gather && this.lastPrompt.gather.input.includes(type));
+  }
+
+  /**
+   * Send a run of digits the way the current Gather expects them
+   * @param {string} digits - DTMF digits to send
+   * @returns {Object} - { response, strategy, chunks }
+   */
+  async sendDigits(digits) {
+    const gather = this.lastPrompt ? this.lastPrompt.gather : null;
+    const strategy = chooseDtmfStrategy(digits, gather, this.config.dtmfStrategy);
+    const chunks = splitDigits(strategy.name, digits, gather);
+
+    this.log(`DTMF strategy for ${digits}: ${strategy.name} (${strategy.reason})`, null, 'info', { dtmfStrategy: strategy.name });
+
+    let response;
+    for (let i = 0; i < chunks.length; i++) {
+      if (i > 0) {
+        // Give the IVR time to process the previous chunk
+        await new Promise(resolve => setTimeout(resolve, this.config.defaultWaitTime / 2));
+      }
+      response = await this.sendDtmf(chunks[i]);
+    }
+
+    // Some IVRs only answer split input on the next request
+    if (chunks.length > 1 && this.lastPrompt.text.trim() === '') {
+      this.log('No immediate response after sending digits, continuing call');
+      await new Promise(resolve => setTimeout(resolve, this.config.defaultWaitTime / 2));
+      response = await this.continueCall();
+    }
+
+    return { response, strategy: strategy.name, chunks };
+  }
+
+  /**
+   * Continue call without input
+   * @returns {Object} - Response from IVR
+   */
+  async continueCall() {
+    this.requireActive('continue call');
+
+    this.log(`Continuing call without input at ${this.noInputRequest.method} ${this.noInputRequest.url}`);
+
+    try {
+      const parsedResponse = await this.exchange(this.noInputRequest, this.callParams(), 'continue');
+
+      this.log('Call continued successfully');
+
+      return parsedResponse;
+    } catch (error) {
+      this.log(`Error continuing call: ${error.message}`, error.response?.data, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Hang up: send the status callback Twilio sends when a call completes.
+   * Also used after the IVR hung up, when Twilio still sends the callback.
+   * @returns {Object} - Response from IVR
+   */
+  async hangup() {
+    this.log(`Ending call with SID: ${this.sid}`);
+
+    try {
+      const response = await this.request(
+        'hangup',
+        { url: `${this.config.baseUrl}/twilio/v1/voice/status`, method: 'POST' },
+        this.callParams({
+          CallStatus: 'completed',
+          CallDuration: String(this.startedAt ? Math.round((Date.now() - this.startedAt) / 1000) : 0),
+          Timestamp: new Date().toUTCString()
+        })
+      );
+
+      this.log('Call ended successfully');
+
+      // Log raw XML for debugging
+      if (this.config.logToFile) {
+        fs.appendFileSync(this.config.logFile, `--- RAW XML RESPONSE (${this.sid}) ---\n` + response.data + '\n----------------------\n\n');
+      }
+
+      const parsedResponse = await this.parseXmlResponse(response.data);
+      this.active = false;
+      this.completed = true;
+
+      return parsedResponse;
+    } catch (error) {
+      this.log(`Error ending call: ${error.message}`, error.response?.data, 'error');
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  IvrCall,
+  toE164,
+  XML_PARSER_OPTIONS
+};
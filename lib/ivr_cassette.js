@@ -0,0 +1,217 @@
+/**
+ * IVR Cassette
+ *
+ * Records every request the flow tester sends to the IVR, and the TwiML that
+ * came back, into a JSON file; then serves those exchanges back in order
+ * without a network. A replayed run sees exactly the responses the recorded
+ * run saw, so a failure can be debugged repeatably and the parsing and state
+ * tracking can be regression tested offline.
+ *
+ * Modes:
+ * - off: talk to the IVR (default)
+ * - record: talk to the IVR and save each exchange
+ * - replay: answer only from the cassette; a request that doesn't match the
+ *   next recorded one is an error
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+// Parameters that change on every run and are left out of replay matching
+const VOLATILE_PARAMS = ['CallSid', 'CallDuration', 'Timestamp'];
+
+/**
+ * Raised when a replayed request is not the one the cassette expects next
+ */
+class CassetteMismatchError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CassetteMismatchError';
+    this.details = details;
+  }
+}
+
+class IvrCassette {
+  /**
+   * @param {Object} options - Cassette options
+   * @param {string} options.mode - off, record or replay
+   * @param {string} options.file - Cassette file
+   * @param {Array<string>} options.ignoreParams - Parameters not compared on replay
+   * @param {boolean} options.realtime - Wait out each recorded response time on replay
+   */
+  constructor(options = {}) {
+    this.options = {
+      mode: 'off',
+      file: null,
+      ignoreParams: VOLATILE_PARAMS,
+      realtime: false,
+      ...options
+    };
+
+    if (!CASSETTE_MODES.includes(this.options.mode)) {
+      throw new Error(`Unknown cassette mode "${this.options.mode}". Available modes: ${CASSETTE_MODES.join(', ')}`);
+    }
+    if (this.options.mode !== 'off' && !this.options.file) {
+      throw new Error(`Cassette mode "${this.options.mode}" needs a cassette file`);
+    }
+
+    this.position = 0;
+    this.interactions = [];
+
+    if (this.options.mode === 'replay') {
+      if (!fs.existsSync(this.options.file)) {
+        throw new Error(`Cassette not found: ${this.options.file}`);
+      }
+      this.interactions = JSON.parse(fs.readFileSync(this.options.file, 'utf8')).interactions || [];
+    } else if (this.options.mode === 'record') {
+      this.recordedAt = new Date().toISOString();
+      this.save();
+    }
+  }
+
+  get mode() {
+    return this.options.mode;
+  }
+
+  /**
+   * Number of recorded exchanges a replay has not used yet
+   * @returns {number} - Remaining interactions
+   */
+  remaining() {
+    return this.options.mode === 'replay' ? this.interactions.length - this.position : 0;
+  }
+
+  /**
+   * Send a request through the cassette
+   * @param {Object} request - { method, url, params }
+   * @param {Function} send - Async function that sends the request over the network
+   * @returns {Promise<Object>} - { status, data }
+   */
+  async fetch(request, send) {
+    if (this.options.mode === 'off') {
+      return send();
+    }
+    if (this.options.mode === 'replay') {
+      return this.replay(request);
+    }
+    return this.record(request, send);
+  }
+
+  /**
+   * Send a request and append the exchange to the cassette, failures included
+   * @param {Object} request - { method, url, params }
+   * @param {Function} send - Async function that sends the request
+   * @returns {Promise<Object>} - Response
+   */
+  async record(request, send) {
+    const startedAt = Date.now();
+    const interaction = { index: this.interactions.length, request };
+
+    try {
+      const response = await send();
+      interaction.response = { status: response.status, body: response.data };
+      return response;
+    } catch (error) {
+      interaction.response = error.response
+        ? { status: error.response.status, body: error.response.data }
+        : { error: error.message };
+      throw error;
+    } finally {
+      interaction.startedAt = new Date(startedAt).toISOString();
+      interaction.durationMs = Date.now() - startedAt;
+      this.interactions.push(interaction);
+      // Saved after every exchange so a run that dies part way still leaves a usable cassette
+      this.save();
+    }
+  }
+
+  /**
+   * Serve the next recorded exchange, after checking the request matches it
+   * @param {Object} request - { method, url, params }
+   * @returns {Promise<Object>} - Recorded response
+   */
+  async replay(request) {
+    const index = this.position;
+    const interaction = this.interactions[index];
+
+    if (!interaction) {
+      throw new CassetteMismatchError(
+        `Cassette ${this.options.file} ran out after ${this.interactions.length} requests; request ${index + 1} (${request.method} ${request.url}) was not recorded`,
+        { index, actual: request }
+      );
+    }
+
+    const differences = this.compare(interaction.request, request);
+    if (differences.length > 0) {
+      throw new CassetteMismatchError(
+        `Request ${index + 1} does not match cassette ${this.options.file}: ${differences.join('; ')}`,
+        { index, expected: interaction.request, actual: request, differences }
+      );
+    }
+
+    this.position++;
+    if (this.options.realtime && interaction.durationMs) {
+      await new Promise(resolve => setTimeout(resolve, interaction.durationMs));
+    }
+
+    const { response } = interaction;
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    if (response.status < 200 || response.status >= 300) {
+      // Fail the way axios does for an error status
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.response = { status: response.status, data: response.body };
+      throw error;
+    }
+    return { status: response.status, data: response.body };
+  }
+
+  /**
+   * List how a request differs from the recorded one
+   * @param {Object} expected - Recorded request
+   * @param {Object} actual - Request being replayed
+   * @returns {Array<string>} - Differences, empty when they match
+   */
+  compare(expected, actual) {
+    const differences = [];
+    if (expected.method !== actual.method || expected.url !== actual.url) {
+      differences.push(`expected ${expected.method} ${expected.url}, got ${actual.method} ${actual.url}`);
+    }
+
+    const ignored = new Set(this.options.ignoreParams);
+    const names = new Set([...Object.keys(expected.params || {}), ...Object.keys(actual.params || {})]);
+    for (const name of names) {
+      if (ignored.has(name)) {
+        continue;
+      }
+      const want = (expected.params || {})[name];
+      const got = (actual.params || {})[name];
+      if (want !== got) {
+        differences.push(`${name} expected ${JSON.stringify(want)}, got ${JSON.stringify(got)}`);
+      }
+    }
+    return differences;
+  }
+
+  /**
+   * Write the recorded exchanges to the cassette file
+   */
+  save() {
+    fs.mkdirSync(path.dirname(path.resolve(this.options.file)), { recursive: true });
+    fs.writeFileSync(this.options.file, JSON.stringify({
+      version: 1,
+      recordedAt: this.recordedAt,
+      interactions: this.interactions
+    }, null, 2));
+  }
+}
+
+module.exports = {
+  IvrCassette,
+  CassetteMismatchError,
+  CASSETTE_MODES,
+  VOLATILE_PARAMS
+};
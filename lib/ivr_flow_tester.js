@@ -6,10 +6,15 @@
  */
 
 const axios = require('axios');
-const { v4: uuidv4 } = require('uuid');
 const xml2js = require('xml2js');
 const fs = require('fs');
-const { FixedIvrStateTracker, IVR_STATES } = require('./ivr_state_tracker_fixed');
+const path = require('path');
+const { FixedIvrStateTracker } = require('./ivr_state_tracker_fixed');
+const { buildPromptModel } = require('./twiml_model');
+const { computeSignature } = require('./twilio_signature');
+const { IvrCassette } = require('./ivr_cassette');
+const { loadScenario, normalizeScenario, resolveScenarioFile, fillTemplate } = require('./ivr_scenario');
+const { IvrCall, XML_PARSER_OPTIONS } = require('./ivr_call');
 
 class IvrFlowTester {
   constructor(config = {}) {
@@ -27,17 +32,30 @@ class IvrFlowTester {
       testRxNumber: '9009400',
       testDob: '01011970', // MMDDYYYY format
       acceptAll: false, // Whether to accept all prompts automatically
+      dtmfStrategy: 'auto', // How to send multi-digit input: auto (follow the Gather), all-at-once, finish-on-key, per-digit or first-then-rest
+      maxRedirects: 10, // Redirects followed in a row before giving up on a loop
+      accountSid: null, // Twilio account SID sent as AccountSid (a placeholder when not set)
+      authToken: null, // Twilio auth token; when set, every request carries X-Twilio-Signature
+      callerCountry: 'US', // Country sent in the From/To/Caller/Called location parameters
+      cassetteMode: 'off', // off, record (save every exchange with the IVR) or replay (serve them back without a network)
+      cassetteFile: null, // Cassette to record to or replay from
+      cassetteRealtime: false, // On replay, wait as long as each recorded response took
+      scenarioDir: path.join(__dirname, '..', 'scenarios'), // Where runScenario() looks up scenarios by name
       ...config
     };
     
     // Initialize components
-    this.stateTracker = new FixedIvrStateTracker(this.log.bind(this));
-    this.parser = new xml2js.Parser({ explicitArray: false });
+    this.parser = new xml2js.Parser(XML_PARSER_OPTIONS);
+    this.cassette = new IvrCassette({
+      mode: this.config.cassetteMode,
+      file: this.config.cassetteFile,
+      realtime: this.config.cassetteRealtime
+    });
+    // Stands in for a call's tracker until the first call starts
+    this.idleStateTracker = new FixedIvrStateTracker(this.log.bind(this));
     
     // Initialize session variables
-    this.sid = null;
-    this.lastResponse = null;
-    this.callActive = false;
+    this.call = null; // Latest call from startCall(); the single-call methods act on it
     this.testResults = {};
     this.currentFlow = null;
     this.flowSteps = [];
@@ -54,12 +72,13 @@ class IvrFlowTester {
   }
 
   /**
-   * Log a message
+   * Write a message to the console and log file
    * @param {string} message - Message to log
    * @param {any} data - Optional data to log
    * @param {string} level - Log level
+   * @returns {string} - Timestamp of the entry
    */
-  log(message, data = null, level = 'info') {
+  write(message, data = null, level = 'info') {
     const timestamp = new Date().toISOString();
     const prefix = level === 'error' ? '❌ ERROR: ' : level === 'warn' ? '⚠️ WARNING: ' : '✅ ';
     const formattedMessage = `[${timestamp}] ${prefix}${message}`;
@@ -83,13 +102,27 @@ class IvrFlowTester {
       fs.appendFileSync(this.config.logFile, logEntry + '\n');
     }
     
+    return timestamp;
+  }
+
+  /**
+   * Log a message and record it as a step of the current flow
+   * @param {string} message - Message to log
+   * @param {any} data - Optional data to log
+   * @param {string} level - Log level
+   * @param {Object} step - Extra fields for the flow step
+   */
+  log(message, data = null, level = 'info', step = {}) {
+    const timestamp = this.write(message, data, level);
+    
     // Record step in flow
     if (this.currentFlow && level !== 'error') {
       this.flowSteps.push({
         timestamp,
         message,
         data: data || '',
-        state: this.stateTracker.getState()
+        state: this.stateTracker.getState(),
+        ...step
       });
     }
   }
@@ -112,287 +145,230 @@ class IvrFlowTester {
   /**
    * Extract text from response
    * @param {Object} response - Parsed XML response
-   * @returns {string} - Extracted text
+   * @returns {string} - Text of every Say, in document order
    */
   extractTextFromResponse(response) {
-    if (!response || !response.Response) {
-      return '';
-    }
-    
-    let text = '';
-    const resp = response.Response;
-    
-    // Extract from Say elements
-    if (resp.Say) {
-      if (Array.isArray(resp.Say)) {
-        text += resp.Say.map(s => typeof s === 'string' ? s : '').join(' ');
-      } else if (typeof resp.Say === 'string') {
-        text += resp.Say;
-      }
+    return buildPromptModel(response).text;
+  }
+
+  /**
+   * Resolve a TwiML URL (often relative) against the URL that returned it
+   * @param {string} target - URL from the TwiML
+   * @param {string} method - HTTP method from the TwiML
+   * @param {string} currentUrl - URL of the response the target came from
+   * @returns {Object} - { url, method }
+   */
+  resolveRequest(target, method, currentUrl) {
+    return { url: new URL(target || currentUrl, currentUrl).toString(), method: (method || 'POST').toUpperCase() };
+  }
+
+  /**
+   * Send one request to the IVR the way Twilio does: a form body for POST,
+   * the query string for GET, signed when an auth token is configured.
+   * Goes through the cassette, which may record or replay the exchange
+   * @param {Object} request - { url, method }
+   * @param {Object} params - Request parameters
+   * @returns {Object} - Axios response, or { status, data } from the cassette
+   */
+  async requestTwiml(request, params) {
+    const isGet = request.method === 'GET';
+    const url = new URL(request.url);
+    if (isGet) {
+      Object.entries(params).forEach(([name, value]) => url.searchParams.append(name, value));
     }
     
-    // Extract from Gather.Say elements
-    if (resp.Gather && resp.Gather.Say) {
-      if (Array.isArray(resp.Gather.Say)) {
-        text += resp.Gather.Say.map(s => typeof s === 'string' ? s : '').join(' ');
-      } else if (typeof resp.Gather.Say === 'string') {
-        text += resp.Gather.Say;
-      }
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'User-Agent': 'TwilioProxy/1.1'
+    };
+    if (this.config.authToken) {
+      headers['X-Twilio-Signature'] = computeSignature(this.config.authToken, url.toString(), isGet ? {} : params);
     }
     
-    return text;
+    return this.cassette.fetch({ method: request.method, url: request.url, params }, () => axios({
+      method: request.method.toLowerCase(),
+      url: url.toString(),
+      headers,
+      data: isGet ? undefined : new URLSearchParams(params).toString()
+    }));
   }
 
   /**
-   * Start a new call
+   * Start a new call; the single-call methods below then act on it
    * @param {string} testName - Name of the test
-   * @returns {Object} - Response from IVR
+   * @param {Object} options - Call options, e.g. { from, to } (see IvrCall)
+   * @returns {IvrCall} - The call, already answered by the IVR
    */
-  async startCall(testName = 'FlowTest') {
-    this.sid = `${testName}_${uuidv4().substring(0, 8)}`;
-    this.log(`Starting call with SID: ${this.sid}`);
-    
-    try {
-      const response = await axios({
-        method: 'post',
-        url: `${this.config.baseUrl}/twilio/v1/voice`,
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        params: {
-          CallSid: this.sid,
-          CallStatus: 'in-progress',
-          From: this.config.from,
-          To: this.config.to
+  async startCall(testName = 'FlowTest', options = {}) {
+    const call = new IvrCall(this, testName, {
+      // Calls started here also count as steps of the current flow
+      onStep: step => {
+        if (this.currentFlow) {
+          this.flowSteps.push(step);
         }
-      });
-      
-      this.log('Call started successfully');
-      
-      // Log raw XML for debugging
-      if (this.config.logToFile) {
-        fs.appendFileSync(this.config.logFile, '--- RAW XML RESPONSE ---\n' + response.data + '\n----------------------\n\n');
-      }
-      
-      const parsedResponse = await this.parseXmlResponse(response.data);
-      this.lastResponse = parsedResponse;
-      
-      // Extract text and update state
-      const responseText = this.extractTextFromResponse(parsedResponse);
-      this.stateTracker.updateState(responseText);
-      
-      this.callActive = true;
-      
-      return parsedResponse;
-    } catch (error) {
-      this.log(`Error starting call: ${error.message}`, error.response?.data, 'error');
-      throw error;
+      },
+      ...options
+    });
+    this.call = call;
+    await call.start();
+    return call;
+  }
+
+  /**
+   * Get the call the single-call methods act on
+   * @param {string} what - What was attempted, for the error
+   * @returns {IvrCall} - Latest call
+   */
+  currentCall(what) {
+    if (!this.call) {
+      this.log(`Cannot ${what}: No active call`, null, 'error');
+      throw new Error('No active call');
     }
+    return this.call;
+  }
+
+  // Single-call state, read from the latest call
+  get sid() {
+    return this.call ? this.call.sid : null;
+  }
+
+  get lastResponse() {
+    return this.call ? this.call.lastResponse : null;
+  }
+
+  get lastPrompt() {
+    return this.call ? this.call.lastPrompt : null;
+  }
+
+  get nextRequest() {
+    return this.call ? this.call.nextRequest : null;
+  }
+
+  get noInputRequest() {
+    return this.call ? this.call.noInputRequest : null;
+  }
+
+  get callActive() {
+    return Boolean(this.call && this.call.active);
+  }
+
+  get callOpen() {
+    return Boolean(this.call && this.call.open);
+  }
+
+  get callStartedAt() {
+    return this.call ? this.call.startedAt : null;
+  }
+
+  get stateTracker() {
+    return this.call ? this.call.stateTracker : this.idleStateTracker;
   }
 
   /**
-   * Send DTMF tones - supports multi-digit input
+   * Send DTMF tones on the latest call
    * @param {string} digits - DTMF digits to send
    * @returns {Object} - Response from IVR
    */
   async sendDtmf(digits) {
-    if (!this.callActive || !this.sid) {
-      this.log('Cannot send DTMF: No active call', null, 'error');
-      throw new Error('No active call');
-    }
-    
-    this.log(`Sending DTMF: ${digits}`);
-    
-    try {
-      const response = await axios({
-        method: 'post',
-        url: `${this.config.baseUrl}/twilio/v1/voice`,
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        params: {
-          CallSid: this.sid,
-          CallStatus: 'in-progress',
-          Digits: digits,
-          From: this.config.from,
-          To: this.config.to
-        }
-      });
-      
-      this.log(`DTMF ${digits} sent successfully`);
-      
-      // Log raw XML for debugging
-      if (this.config.logToFile) {
-        fs.appendFileSync(this.config.logFile, '--- RAW XML RESPONSE ---\n' + response.data + '\n----------------------\n\n');
-      }
-      
-      const parsedResponse = await this.parseXmlResponse(response.data);
-      this.lastResponse = parsedResponse;
-      
-      // Extract text and update state
-      const responseText = this.extractTextFromResponse(parsedResponse);
-      const newState = this.stateTracker.updateState(responseText);
-      
-      return parsedResponse;
-    } catch (error) {
-      this.log(`Error sending DTMF ${digits}: ${error.message}`, error.response?.data, 'error');
-      throw error;
-    }
+    return this.currentCall('send DTMF').sendDtmf(digits);
   }
 
   /**
-   * Continue call without input
+   * Send speech input on the latest call
+   * @param {string} text - What the caller said
+   * @param {number} confidence - Recognition confidence from 0 to 1
+   * @returns {Object} - Response from IVR
+   */
+  async sendSpeech(text, confidence = 0.9) {
+    return this.currentCall('send speech').sendSpeech(text, confidence);
+  }
+
+  /**
+   * Check which input types the latest call's Gather accepts
+   * @param {string} type - 'dtmf' or 'speech'
+   * @returns {boolean} - True if the IVR is gathering that input
+   */
+  acceptsInput(type) {
+    return Boolean(this.call && this.call.acceptsInput(type));
+  }
+
+  /**
+   * Send a run of digits on the latest call the way its Gather expects them
+   * @param {string} digits - DTMF digits to send
+   * @returns {Object} - { response, strategy, chunks }
+   */
+  async sendDigits(digits) {
+    return this.currentCall('send DTMF').sendDigits(digits);
+  }
+
+  /**
+   * Continue the latest call without input
    * @returns {Object} - Response from IVR
    */
   async continueCall() {
-    if (!this.callActive || !this.sid) {
-      this.log('Cannot continue call: No active call', null, 'error');
-      throw new Error('No active call');
-    }
-    
-    this.log('Continuing call without input');
-    
-    try {
-      const response = await axios({
-        method: 'post',
-        url: `${this.config.baseUrl}/twilio/v1/voice`,
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        params: {
-          CallSid: this.sid,
-          CallStatus: 'in-progress',
-          From: this.config.from,
-          To: this.config.to
-        }
-      });
-      
-      this.log('Call continued successfully');
-      
-      // Log raw XML for debugging
-      if (this.config.logToFile) {
-        fs.appendFileSync(this.config.logFile, '--- RAW XML RESPONSE ---\n' + response.data + '\n----------------------\n\n');
-      }
-      
-      const parsedResponse = await this.parseXmlResponse(response.data);
-      this.lastResponse = parsedResponse;
-      
-      // Extract text and update state
-      const responseText = this.extractTextFromResponse(parsedResponse);
-      this.stateTracker.updateState(responseText);
-      
-      return parsedResponse;
-    } catch (error) {
-      this.log(`Error continuing call: ${error.message}`, error.response?.data, 'error');
-      throw error;
-    }
+    return this.currentCall('continue call').continueCall();
   }
 
   /**
-   * End the call
+   * End the latest call
    * @returns {Object} - Response from IVR
    */
   async endCall() {
-    if (!this.sid) {
-      this.log('Cannot end call: No SID', null, 'error');
-      throw new Error('No SID');
-    }
-    
-    this.log(`Ending call with SID: ${this.sid}`);
-    
-    try {
-      const response = await axios({
-        method: 'post',
-        url: `${this.config.baseUrl}/twilio/v1/voice/status`,
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        params: {
-          CallSid: this.sid,
-          CallStatus: 'completed',
-          From: this.config.from,
-          To: this.config.to
-        }
-      });
-      
-      this.log('Call ended successfully');
-      
-      // Log raw XML for debugging
-      if (this.config.logToFile) {
-        fs.appendFileSync(this.config.logFile, '--- RAW XML RESPONSE ---\n' + response.data + '\n----------------------\n\n');
-      }
-      
-      const parsedResponse = await this.parseXmlResponse(response.data);
-      this.callActive = false;
-      
-      return parsedResponse;
-    } catch (error) {
-      this.log(`Error ending call: ${error.message}`, error.response?.data, 'error');
-      throw error;
-    }
+    return this.currentCall('end call').hangup();
   }
 
   /**
-   * Test the refill prescription flow
-   * @param {string} rxNumber - Prescription number to use
+   * Run a declarative scenario and record its result in testResults
+   * @param {string|Object} scenario - Scenario file, scenario name in scenarioDir, or definition
+   * @param {Object} data - Test values overriding the scenario's own, e.g. { rxNumber }
    * @returns {boolean} - Success status
    */
-  async testRefillPrescription(rxNumber = null) {
-    const testRx = rxNumber || this.config.testRxNumber;
-    this.currentFlow = 'refill_prescription';
+  async runScenario(scenario, data = {}) {
+    const definition = typeof scenario === 'string'
+      ? loadScenario(resolveScenarioFile(scenario, this.config.scenarioDir))
+      : normalizeScenario(scenario);
+    
+    // Configured test values, then the scenario's, then the caller's; unset overrides are ignored
+    const values = {
+      rxNumber: this.config.testRxNumber,
+      dob: this.config.testDob,
+      ...definition.data,
+      ...Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined && value !== null))
+    };
+    const used = new Set();
+    
+    this.currentFlow = definition.name;
     this.flowSteps = [];
     
-    this.log(`Testing refill prescription flow with RX #${testRx}`);
+    this.log(`Running scenario ${definition.name}${definition.description ? `: ${definition.description}` : ''}`);
     
     try {
-      // Start a new call
-      await this.startCall(`RefillRx_${testRx}`);
+      const call = await this.startCall(fillTemplate(definition.callName, values, used), {
+        from: definition.from || this.config.from,
+        to: definition.to || this.config.to
+      });
       
       // Wait for greeting to finish
       await new Promise(resolve => setTimeout(resolve, this.config.defaultWaitTime));
       
-      // Continue to main menu
-      await this.continueCall();
-      
-      // Press 1 to refill a prescription
-      await this.sendDtmf('1');
-      await new Promise(resolve => setTimeout(resolve, this.config.defaultWaitTime));
-      
-      // Enter the prescription number
-      this.log(`Entering prescription number: ${testRx}`);
-      await this.sendDtmf(testRx);
-      await new Promise(resolve => setTimeout(resolve, this.config.defaultWaitTime));
-      
-      // Check if we need to confirm
-      const responseText = this.extractTextFromResponse(this.lastResponse);
-      if (responseText.toLowerCase().includes('confirm') || responseText.toLowerCase().includes('is this correct')) {
-        // Press 1 to confirm
-        this.log('Confirming prescription number');
-        await this.sendDtmf('1');
-        await new Promise(resolve => setTimeout(resolve, this.config.defaultWaitTime));
+      for (let i = 0; i < definition.steps.length; i++) {
+        await this.runScenarioStep(call, definition.steps[i], i, values, used);
       }
       
-      // Continue with any additional steps
-      await this.continueCall();
-      
-      // End the call
-      await this.endCall();
+      // Hang up if the scenario didn't (the IVR hanging up still needs the status callback)
+      if (this.callOpen) {
+        await this.endCall();
+      }
       
-      // Save test results
-      this.testResults[this.currentFlow] = {
-        success: true,
-        rxNumber: testRx,
-        steps: this.flowSteps,
-        finalState: this.stateTracker.getState()
-      };
+      this.testResults[this.currentFlow] = this.scenarioResult(true, values, used);
       
-      this.log(`Refill prescription test completed successfully`);
+      this.log(`Scenario ${definition.name} completed successfully`);
       return true;
     } catch (error) {
-      this.log(`Refill prescription test failed: ${error.message}`, error, 'error');
+      this.log(`Scenario ${definition.name} failed: ${error.message}`, error, 'error');
       
-      // Try to end the call if it's still active
-      if (this.callActive) {
+      // Try to end the call if it's still open
+      if (this.callOpen) {
         try {
           await this.endCall();
         } catch (endError) {
@@ -400,178 +376,140 @@ class IvrFlowTester {
         }
       }
       
-      // Save test results
-      this.testResults[this.currentFlow] = {
-        success: false,
-        rxNumber: testRx,
-        steps: this.flowSteps,
-        error: error.message,
-        finalState: this.stateTracker.getState()
-      };
+      this.testResults[this.currentFlow] = { ...this.scenarioResult(false, values, used), error: error.message };
       
       return false;
     }
   }
 
   /**
-   * Test the check status flow
-   * @param {string} rxNumber - Prescription number to use
-   * @returns {boolean} - Success status
+   * Run one scenario step
+   * @param {IvrCall} call - Call the scenario is on
+   * @param {Object} step - Normalized step: { type, value }
+   * @param {number} index - Position in the step list
+   * @param {Object} values - Test values
+   * @param {Set<string>} used - Collects the test values filled in
    */
-  async testCheckStatus(rxNumber = null) {
-    const testRx = rxNumber || this.config.testRxNumber;
-    this.currentFlow = 'check_status';
-    this.flowSteps = [];
-    
-    this.log(`Testing check status flow with RX #${testRx}`);
-    
-    try {
-      // Start a new call
-      await this.startCall(`CheckStatus_${testRx}`);
-      
-      // Wait for greeting to finish
-      await new Promise(resolve => setTimeout(resolve, this.config.defaultWaitTime));
-      
-      // Continue to main menu
-      await this.continueCall();
-      
-      // Press 2 to check status
-      await this.sendDtmf('2');
-      await new Promise(resolve => setTimeout(resolve, this.config.defaultWaitTime));
-      
-      // Enter the prescription number
-      this.log(`Entering prescription number: ${testRx}`);
-      await this.sendDtmf(testRx);
-      await new Promise(resolve => setTimeout(resolve, this.config.defaultWaitTime));
+  async runScenarioStep(call, step, index, values, used) {
+    const where = `Step ${index + 1} (${step.type})`;
+    const wait = () => new Promise(resolve => setTimeout(resolve, this.config.defaultWaitTime));
+    
+    switch (step.type) {
+      case 'continue':
+        // The IVR may have hung up on the last input; there is no next prompt to ask for
+        if (call.endedByIvr) {
+          call.log(`${where} skipped: the IVR already hung up`);
+          break;
+        }
+        await call.continueCall();
+        break;
       
-      // Check if we need to confirm
-      const responseText = this.extractTextFromResponse(this.lastResponse);
-      if (responseText.toLowerCase().includes('confirm') || responseText.toLowerCase().includes('is this correct')) {
-        // Press 1 to confirm
-        this.log('Confirming prescription number');
-        await this.sendDtmf('1');
-        await new Promise(resolve => setTimeout(resolve, this.config.defaultWaitTime));
+      case 'digits': {
+        const digits = fillTemplate(step.value, values, used);
+        if (!/^[0-9*#]+$/.test(digits)) {
+          throw new Error(`${where}: "${digits}" is not a run of DTMF keys`);
+        }
+        await call.sendDigits(digits);
+        await wait();
+        break;
       }
       
-      // Continue with any additional steps
-      await this.continueCall();
-      
-      // End the call
-      await this.endCall();
-      
-      // Save test results
-      this.testResults[this.currentFlow] = {
-        success: true,
-        rxNumber: testRx,
-        steps: this.flowSteps,
-        finalState: this.stateTracker.getState()
-      };
-      
-      this.log(`Check status test completed successfully`);
-      return true;
-    } catch (error) {
-      this.log(`Check status test failed: ${error.message}`, error, 'error');
+      case 'wait':
+        await new Promise(resolve => setTimeout(resolve, Number(step.value)));
+        break;
+      
+      case 'expect': {
+        const state = call.stateTracker.getState();
+        const text = this.extractTextFromResponse(call.lastResponse);
+        const { state: expectedState, contains, matches } = step.value;
+        
+        if (expectedState && state !== expectedState) {
+          throw new Error(`${where}: expected state ${expectedState}, got ${state}`);
+        }
+        if (contains && !text.toLowerCase().includes(fillTemplate(contains, values, used).toLowerCase())) {
+          throw new Error(`${where}: expected the prompt to contain "${contains}", got "${text}"`);
+        }
+        if (matches && !new RegExp(fillTemplate(matches, values, used), 'i').test(text)) {
+          throw new Error(`${where}: expected the prompt to match /${matches}/, got "${text}"`);
+        }
+        call.log(`${where} passed`);
+        break;
+      }
       
-      // Try to end the call if it's still active
-      if (this.callActive) {
-        try {
-          await this.endCall();
-        } catch (endError) {
-          this.log(`Error ending call after failure: ${endError.message}`, null, 'error');
+      case 'confirm': {
+        const text = this.extractTextFromResponse(call.lastResponse);
+        if (new RegExp(step.value.when, 'i').test(text)) {
+          call.log('Confirming entry');
+          await call.sendDigits(fillTemplate(step.value.digits, values, used));
+          await wait();
         }
+        break;
       }
       
-      // Save test results
-      this.testResults[this.currentFlow] = {
-        success: false,
-        rxNumber: testRx,
-        steps: this.flowSteps,
-        error: error.message,
-        finalState: this.stateTracker.getState()
-      };
+      case 'hangup':
+        await call.hangup();
+        break;
       
-      return false;
+      default:
+        throw new Error(`${where}: unknown step type`);
     }
   }
 
+  /**
+   * Build a testResults entry for the current flow
+   * @param {boolean} success - Whether the scenario passed
+   * @param {Object} values - Test values
+   * @param {Set<string>} used - Test values the scenario filled in
+   * @returns {Object} - Test result
+   */
+  scenarioResult(success, values, used) {
+    const data = Object.fromEntries([...used].map(name => [name, values[name]]));
+    return {
+      success,
+      ...(data.rxNumber ? { rxNumber: data.rxNumber } : {}),
+      data,
+      steps: this.flowSteps,
+      finalState: this.stateTracker.getState()
+    };
+  }
+
+  /**
+   * Test the refill prescription flow
+   * @param {string} rxNumber - Prescription number to use
+   * @returns {boolean} - Success status
+   */
+  async testRefillPrescription(rxNumber = null) {
+    return this.runScenario('refill_prescription', { rxNumber });
+  }
+
+  /**
+   * Test the check status flow
+   * @param {string} rxNumber - Prescription number to use
+   * @returns {boolean} - Success status
+   */
+  async testCheckStatus(rxNumber = null) {
+    return this.runScenario('check_status', { rxNumber });
+  }
+
   /**
    * Test the pharmacy hours flow
    * @returns {boolean} - Success status
    */
   async testPharmacyHours() {
-    this.currentFlow = 'pharmacy_hours';
-    this.flowSteps = [];
-    
-    this.log('Testing pharmacy hours flow');
-    
-    try {
-      // Start a new call
-      await this.startCall('PharmacyHours');
-      
-      // Wait for greeting to finish
-      await new Promise(resolve => setTimeout(resolve, this.config.defaultWaitTime));
-      
-      // Continue to main menu
-      await this.continueCall();
-      
-      // Press 4 for pharmacy hours
-      await this.sendDtmf('4');
-      await new Promise(resolve => setTimeout(resolve, this.config.defaultWaitTime));
-      
-      // Press 1 for weekly hours
-      this.log('Selecting weekly hours');
-      await this.sendDtmf('1');
-      await new Promise(resolve => setTimeout(resolve, this.config.defaultWaitTime));
-      
-      // Continue with any additional steps
-      await this.continueCall();
-      
-      // End the call
-      await this.endCall();
-      
-      // Save test results
-      this.testResults[this.currentFlow] = {
-        success: true,
-        steps: this.flowSteps,
-        finalState: this.stateTracker.getState()
-      };
-      
-      this.log(`Pharmacy hours test completed successfully`);
-      return true;
-    } catch (error) {
-      this.log(`Pharmacy hours test failed: ${error.message}`, error, 'error');
-      
-      // Try to end the call if it's still active
-      if (this.callActive) {
-        try {
-          await this.endCall();
-        } catch (endError) {
-          this.log(`Error ending call after failure: ${endError.message}`, null, 'error');
-        }
-      }
-      
-      // Save test results
-      this.testResults[this.currentFlow] = {
-        success: false,
-        steps: this.flowSteps,
-        error: error.message,
-        finalState: this.stateTracker.getState()
-      };
-      
-      return false;
-    }
+    return this.runScenario('pharmacy_hours');
   }
 
   /**
-   * Run all tests
+   * Run scenarios and save the results and report
+   * @param {Array<string>} scenarios - Scenario files or names (default: the standard flows)
    * @returns {Object} - Test results
    */
-  async runAllTests() {
+  async runAllTests(scenarios = ['refill_prescription', 'check_status', 'pharmacy_hours']) {
     this.log('Running all IVR flow tests');
     
-    await this.testRefillPrescription();
-    await this.testCheckStatus();
-    await this.testPharmacyHours();
+    for (const scenario of scenarios) {
+      await this.runScenario(scenario);
+    }
     
     // Save test results
     const resultsPath = `${this.config.outputDir}/test_results.json`;
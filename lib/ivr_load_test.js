@@ -0,0 +1,347 @@
+/**
+ * IVR Load Test
+ *
+ * Runs one call plan - a scenario, or the path of a call recorded in a
+ * cassette - first as a single baseline call, then across many concurrent
+ * calls, each with its own CallSid and caller number. Reports request
+ * latency per step type, error rates, and the prompts that came back
+ * different from the baseline.
+ */
+
+const fs = require('fs');
+const xml2js = require('xml2js');
+const { IvrCall, XML_PARSER_OPTIONS } = require('./ivr_call');
+const { buildPromptModel } = require('./twiml_model');
+const { loadScenario, normalizeScenario, resolveScenarioFile } = require('./ivr_scenario');
+
+// Request kinds, in the order they're reported
+const REQUEST_KINDS = ['start', 'continue', 'digits', 'speech', 'redirect', 'hangup'];
+
+const PERCENTILES = [50, 90, 95, 99];
+
+/**
+ * Nearest-rank percentile
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} p - Percentile, 0-100
+ * @returns {number} - Value at the percentile
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+/**
+ * Make a random US caller number in a range set aside for fiction (NXX-555-01XX),
+ * so load calls never look like a real patient calling in
+ * @param {Set<string>} taken - Numbers already handed out; the new one is added
+ * @returns {string} - 10-digit number
+ */
+function randomCallerNumber(taken = new Set()) {
+  for (;;) {
+    const area = 200 + Math.floor(Math.random() * 800);
+    const line = 100 + Math.floor(Math.random() * 100);
+    const number = `${area}5550${line}`;
+    if (!taken.has(number)) {
+      taken.add(number);
+      return number;
+    }
+  }
+}
+
+/**
+ * Read the inputs of the first call in a cassette: the digits, speech and
+ * continues it sent, leaving out the start, redirects it followed and the status callback
+ * @param {string} file - Cassette file
+ * @returns {Promise<Array>} - Path steps: { type: digits|speech|continue, value }
+ */
+async function pathFromCassette(file) {
+  const { interactions = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const first = interactions[0];
+  if (!first) {
+    throw new Error(`Cassette ${file} has no recorded requests`);
+  }
+
+  const sid = first.request.params.CallSid;
+  const calls = interactions.filter(interaction => interaction.request.params.CallSid === sid);
+  const parser = new xml2js.Parser(XML_PARSER_OPTIONS);
+  const steps = [];
+
+  let previous = null;
+  for (const { request, response } of calls) {
+    const { params } = request;
+    const redirected = previous && previous.redirect && !previous.gather && !previous.hangup;
+
+    if (/\/voice\/status$/.test(request.url)) {
+      break;
+    } else if (params.Digits !== undefined) {
+      steps.push({ type: 'digits', value: params.Digits });
+    } else if (params.SpeechResult !== undefined) {
+      steps.push({ type: 'speech', value: params.SpeechResult, confidence: Number(params.Confidence) || 0.9 });
+    } else if (previous && !redirected) {
+      steps.push({ type: 'continue' });
+    }
+
+    const body = response && typeof response.body === 'string' ? response.body : '';
+    previous = buildPromptModel(body ? await parser.parseStringPromise(body).catch(() => null) : null);
+  }
+
+  return steps;
+}
+
+class IvrLoadTest {
+  /**
+   * @param {IvrFlowTester} tester - Flow tester the calls run on
+   * @param {Object} options - Load test options
+   * @param {number} options.calls - Concurrent calls
+   * @param {number} options.rampUp - Seconds over which the calls start, evenly spaced
+   * @param {string|Object} options.scenario - Scenario file, name or definition to run
+   * @param {string} options.path - Cassette whose recorded call is replayed live instead
+   * @param {string} options.name - CallSid prefix
+   * @param {Object} options.data - Test values for the scenario
+   */
+  constructor(tester, options = {}) {
+    this.tester = tester;
+    this.options = {
+      calls: 10,
+      rampUp: 0,
+      scenario: null,
+      path: null,
+      name: 'Load',
+      data: {},
+      ...options
+    };
+
+    if (!this.options.scenario === !this.options.path) {
+      throw new Error('A load test needs either a scenario or a recorded path');
+    }
+    if (!(this.options.calls >= 1)) {
+      throw new Error(`A load test needs at least one call, got ${this.options.calls}`);
+    }
+  }
+
+  /**
+   * Load the call plan
+   * @returns {Promise<Object>} - { name, steps, run(call) }
+   */
+  async plan() {
+    if (this.options.path) {
+      const steps = await pathFromCassette(this.options.path);
+      return {
+        name: `path ${this.options.path}`,
+        steps,
+        run: call => this.runPath(call, steps)
+      };
+    }
+
+    const scenario = this.options.scenario;
+    const definition = typeof scenario === 'string'
+      ? loadScenario(resolveScenarioFile(scenario, this.tester.config.scenarioDir))
+      : normalizeScenario(scenario);
+    const values = {
+      rxNumber: this.tester.config.testRxNumber,
+      dob: this.tester.config.testDob,
+      ...definition.data,
+      ...this.options.data
+    };
+    return {
+      name: `scenario ${definition.name}`,
+      steps: definition.steps,
+      run: async call => {
+        for (let i = 0; i < definition.steps.length; i++) {
+          await this.tester.runScenarioStep(call, definition.steps[i], i, values, new Set());
+        }
+      }
+    };
+  }
+
+  /**
+   * Send a recorded path's inputs exactly as recorded
+   * @param {IvrCall} call - Call to send them on
+   * @param {Array} steps - Path steps
+   */
+  async runPath(call, steps) {
+    for (const step of steps) {
+      if (step.type === 'digits') {
+        await call.sendDtmf(step.value);
+      } else if (step.type === 'speech') {
+        await call.sendSpeech(step.value, step.confidence);
+      } else {
+        await call.continueCall();
+      }
+      await new Promise(resolve => setTimeout(resolve, this.tester.config.defaultWaitTime));
+    }
+  }
+
+  /**
+   * Place one call, run the plan on it and hang up
+   * @param {Object} plan - Call plan
+   * @param {string} name - CallSid prefix
+   * @param {string} from - Caller number
+   * @returns {Promise<Object>} - { call, success, error }
+   */
+  async runCall(plan, name, from) {
+    const call = new IvrCall(this.tester, name, { from });
+
+    try {
+      await call.start();
+      // Wait for greeting to finish
+      await new Promise(resolve => setTimeout(resolve, this.tester.config.defaultWaitTime));
+      await plan.run(call);
+      if (call.open) {
+        await call.hangup();
+      }
+      return { call, success: true, error: null };
+    } catch (error) {
+      if (call.open) {
+        await call.hangup().catch(() => {});
+      }
+      return { call, success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Run the baseline call, then the concurrent calls
+   * @returns {Promise<Object>} - Load test report
+   */
+  async run() {
+    const { calls, rampUp, name } = this.options;
+    const plan = await this.plan();
+
+    this.tester.write(`Load test: ${plan.name}, baseline call first`);
+    const baseline = await this.runCall(plan, `${name}_baseline`, this.tester.config.from);
+    if (!baseline.success) {
+      throw new Error(`Baseline call failed, not starting the load: ${baseline.error}`);
+    }
+
+    this.tester.write(`Load test: ${calls} calls over ${rampUp}s`);
+    const taken = new Set();
+    const startedAt = Date.now();
+    const spacing = calls > 1 ? (rampUp * 1000) / (calls - 1) : 0;
+
+    const results = await Promise.all(Array.from({ length: calls }, async (unused, i) => {
+      await new Promise(resolve => setTimeout(resolve, Math.round(i * spacing)));
+      return this.runCall(plan, `${name}_${i + 1}`, randomCallerNumber(taken));
+    }));
+
+    return this.report(plan, baseline, results, Date.now() - startedAt);
+  }
+
+  /**
+   * Summarize the load calls against the baseline
+   * @param {Object} plan - Call plan
+   * @param {Object} baseline - Baseline call result
+   * @param {Array} results - Load call results
+   * @param {number} durationMs - Wall time of the load
+   * @returns {Object} - Report
+   */
+  report(plan, baseline, results, durationMs) {
+    const timings = results.flatMap(result => result.call.timings);
+
+    const requests = {};
+    REQUEST_KINDS.forEach(kind => {
+      const ofKind = timings.filter(timing => timing.kind === kind);
+      if (ofKind.length === 0) {
+        return;
+      }
+      const sorted = ofKind.map(timing => timing.durationMs).sort((a, b) => a - b);
+      const errors = ofKind.filter(timing => timing.error).length;
+      requests[kind] = {
+        count: ofKind.length,
+        errors,
+        errorRate: errors / ofKind.length,
+        ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, percentile(sorted, p)])),
+        max: sorted[sorted.length - 1]
+      };
+    });
+
+    // Group identical differences so 50 calls hitting the same problem read as one line
+    const prompts = call => call.steps.filter(step => step.text !== undefined).map(step => step.text);
+    const expected = prompts(baseline.call);
+    const differences = {};
+    results.forEach(({ call, success }) => {
+      const actual = prompts(call);
+      // A failed call is reported under failures; only what it did hear is compared
+      const compared = success ? Math.max(expected.length, actual.length) : actual.length;
+      for (let i = 0; i < compared; i++) {
+        if (expected[i] !== actual[i]) {
+          const key = JSON.stringify([i, expected[i], actual[i]]);
+          differences[key] = differences[key] || { response: i + 1, expected: expected[i] ?? null, actual: actual[i] ?? null, calls: [] };
+          differences[key].calls.push(call.sid);
+        }
+      }
+    });
+
+    const failures = {};
+    results.filter(result => !result.success).forEach(result => {
+      failures[result.error] = failures[result.error] || [];
+      failures[result.error].push(result.call.sid);
+    });
+
+    const failed = results.filter(result => !result.success).length;
+    return {
+      plan: plan.name,
+      calls: results.length,
+      rampUpSeconds: this.options.rampUp,
+      durationMs,
+      failedCalls: failed,
+      callErrorRate: failed / results.length,
+      requestErrorRate: timings.length > 0 ? timings.filter(timing => timing.error).length / timings.length : 0,
+      requests,
+      baseline: { sid: baseline.call.sid, responses: expected },
+      differences: Object.values(differences).sort((a, b) => a.response - b.response),
+      failures: Object.entries(failures).map(([error, sids]) => ({ error, calls: sids }))
+    };
+  }
+}
+
+/**
+ * Format a load test report as Markdown
+ * @param {Object} report - Report from IvrLoadTest.run()
+ * @returns {string} - Report text
+ */
+function formatLoadReport(report) {
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+  let text = '# IVR Load Test Report\n\n';
+  text += `Generated: ${new Date().toISOString()}\n\n`;
+  text += `Plan: ${report.plan}\n`;
+  text += `Calls: ${report.calls} over ${report.rampUpSeconds}s ramp-up, ${(report.durationMs / 1000).toFixed(1)}s total\n`;
+  text += `Failed calls: ${report.failedCalls} (${percent(report.callErrorRate)})\n`;
+  text += `Failed requests: ${percent(report.requestErrorRate)}\n\n`;
+
+  text += '## Request Latency (ms)\n\n';
+  text += `| Step | Requests | Errors | ${PERCENTILES.map(p => `p${p}`).join(' | ')} | Max |\n`;
+  text += `|------|----------|--------|${PERCENTILES.map(() => '-----|').join('')}-----|\n`;
+  Object.entries(report.requests).forEach(([kind, stats]) => {
+    text += `| ${kind} | ${stats.count} | ${stats.errors} (${percent(stats.errorRate)}) | ${PERCENTILES.map(p => stats[`p${p}`]).join(' | ')} | ${stats.max} |\n`;
+  });
+
+  text += '\n## Differences from the Baseline\n\n';
+  if (report.differences.length === 0) {
+    text += `Every call heard the same ${report.baseline.responses.length} responses as the baseline call.\n`;
+  }
+  report.differences.forEach(difference => {
+    text += `- Response ${difference.response} on ${difference.calls.length} call(s), e.g. ${difference.calls[0]}\n`;
+    text += `  - Expected: ${difference.expected === null ? '(none)' : `"${difference.expected}"`}\n`;
+    text += `  - Got: ${difference.actual === null ? '(none)' : `"${difference.actual}"`}\n`;
+  });
+
+  if (report.failures.length > 0) {
+    text += '\n## Failed Calls\n\n';
+    report.failures.forEach(failure => {
+      text += `- ${failure.error} (${failure.calls.length} call(s), e.g. ${failure.calls[0]})\n`;
+    });
+  }
+
+  return text;
+}
+
+module.exports = {
+  IvrLoadTest,
+  formatLoadReport,
+  pathFromCassette,
+  randomCallerNumber,
+  percentile,
+  REQUEST_KINDS
+};
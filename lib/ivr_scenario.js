@@ -0,0 +1,180 @@
+/**
+ * IVR Scenarios
+ *
+ * Loads declarative flow tests from JSON or YAML files. A scenario names the
+ * call, the numbers to call from and to, its test data and an ordered list of
+ * steps; `IvrFlowTester.runScenario()` executes it.
+ *
+ * Steps:
+ *   continue                      - Ask for the next prompt without input (skipped once the IVR hung up)
+ *   digits: "1"                   - Send digits (split the way the Gather expects)
+ *   wait: 2000                    - Pause, in milliseconds
+ *   expect: { state, contains, matches } - Check the tracker state and the last prompt
+ *   confirm: { when, digits }     - Send digits only if the last prompt matches `when`
+ *   hangup                        - End the call
+ *
+ * `{{name}}` in a string is replaced with the named test value.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { IVR_STATES } = require('./ivr_state_tracker_fixed');
+
+const STEP_TYPES = ['continue', 'digits', 'wait', 'expect', 'confirm', 'hangup'];
+
+// Prompts that ask the caller to confirm what they entered
+const DEFAULT_CONFIRM_PATTERN = 'confirm|is this correct';
+
+const SCENARIO_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+/**
+ * Check that a scenario pattern is a valid regular expression
+ * @param {string} pattern - Pattern from the scenario file
+ * @param {string} where - Step description, for errors
+ */
+function checkPattern(pattern, where) {
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`${where}: invalid pattern ${JSON.stringify(pattern)}: ${error.message}`);
+  }
+}
+
+/**
+ * Normalize a step: "continue" or { digits: "1" } becomes { type, ... }
+ * @param {string|Object} step - Step from the scenario file
+ * @param {number} index - Position in the step list
+ * @param {string} name - Scenario name, for errors
+ * @returns {Object} - { type, value }
+ */
+function normalizeStep(step, index, name) {
+  const where = `Scenario ${name}: step ${index + 1}`;
+  const [type, ...extra] = typeof step === 'string' ? [step] : Object.keys(step || {});
+
+  if (!STEP_TYPES.includes(type) || extra.length > 0) {
+    throw new Error(`${where} must be one of ${STEP_TYPES.join(', ')}, got ${JSON.stringify(step)}`);
+  }
+
+  const value = typeof step === 'string' ? true : step[type];
+
+  if (type === 'digits' && (!['string', 'number'].includes(typeof value) || value === '')) {
+    throw new Error(`${where}: digits must be keys to press, e.g. "1" or "{{rxNumber}}", got ${JSON.stringify(value)}`);
+  }
+  if (type === 'wait' && !(Number(value) >= 0)) {
+    throw new Error(`${where}: wait must be a number of milliseconds, got ${JSON.stringify(value)}`);
+  }
+  if (type === 'expect') {
+    if (!value || typeof value !== 'object' || !['state', 'contains', 'matches'].some(key => key in value)) {
+      throw new Error(`${where}: expect needs state, contains or matches`);
+    }
+    if (value.state && !Object.values(IVR_STATES).includes(value.state)) {
+      throw new Error(`${where}: unknown state "${value.state}". Known states: ${Object.values(IVR_STATES).join(', ')}`);
+    }
+    if (value.matches) {
+      checkPattern(value.matches, where);
+    }
+  }
+  if (type === 'confirm') {
+    const confirm = { when: DEFAULT_CONFIRM_PATTERN, digits: '1', ...(typeof value === 'object' ? value : {}) };
+    checkPattern(confirm.when, where);
+    return { type, value: confirm };
+  }
+
+  return { type, value: type === 'digits' ? String(value) : value };
+}
+
+/**
+ * Check a scenario and fill in defaults
+ * @param {Object} scenario - Scenario definition
+ * @returns {Object} - Normalized scenario
+ */
+function normalizeScenario(scenario) {
+  if (!scenario || typeof scenario !== 'object') {
+    throw new Error('A scenario must be an object');
+  }
+  if (!scenario.name) {
+    throw new Error('A scenario needs a name');
+  }
+  if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+    throw new Error(`Scenario ${scenario.name} needs a list of steps`);
+  }
+
+  return {
+    description: '',
+    callName: scenario.name,
+    from: null,
+    to: null,
+    ...scenario,
+    data: { ...(scenario.data || {}) },
+    steps: scenario.steps.map((step, index) => normalizeStep(step, index, scenario.name))
+  };
+}
+
+/**
+ * Load a scenario from a JSON or YAML file
+ * @param {string} file - Scenario file
+ * @returns {Object} - Normalized scenario
+ */
+function loadScenario(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const scenario = /\.ya?ml$/i.test(file) ? require('js-yaml').load(text) : JSON.parse(text);
+  return normalizeScenario({ name: path.basename(file, path.extname(file)), ...scenario });
+}
+
+/**
+ * Find a scenario file by path, or by name in a scenario directory
+ * @param {string} nameOrFile - File path or scenario name, e.g. refill_prescription
+ * @param {string} dir - Directory holding named scenarios
+ * @returns {string} - Scenario file
+ */
+function resolveScenarioFile(nameOrFile, dir) {
+  if (fs.existsSync(nameOrFile) && fs.statSync(nameOrFile).isFile()) {
+    return nameOrFile;
+  }
+  const file = SCENARIO_EXTENSIONS.map(extension => path.join(dir, `${nameOrFile}${extension}`)).find(fs.existsSync);
+  if (!file) {
+    throw new Error(`Scenario not found: ${nameOrFile} (looked in ${dir})`);
+  }
+  return file;
+}
+
+/**
+ * List the scenario files in a directory, sorted by name
+ * @param {string} dir - Scenario directory
+ * @returns {Array<string>} - Scenario files
+ */
+function listScenarioFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter(file => SCENARIO_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()
+    .map(file => path.join(dir, file));
+}
+
+/**
+ * Fill {{name}} placeholders from test values
+ * @param {string} text - Text with placeholders
+ * @param {Object} values - Test values
+ * @param {Set<string>} used - Collects the names filled in
+ * @returns {string} - Filled text
+ */
+function fillTemplate(text, values, used = new Set()) {
+  return String(text).replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    if (values[name] === undefined || values[name] === null) {
+      throw new Error(`No test value for {{${name}}}`);
+    }
+    used.add(name);
+    return String(values[name]);
+  });
+}
+
+module.exports = {
+  loadScenario,
+  normalizeScenario,
+  resolveScenarioFile,
+  listScenarioFiles,
+  fillTemplate,
+  STEP_TYPES
+};
@@ -0,0 +1,255 @@
+/**
+ * Session API Client
+ *
+ * Generated from api/openapi.json by api/scripts/generate_client.js for
+ * Amazon Q Session API 1.0.0. Do not edit by hand; change the
+ * document and run `npm run generate-client` instead.
+ */
+
+const axios = require('axios');
+
+/**
+ * A request failed; carries the API's { code, message, details } error body
+ */
+class SessionApiRequestError extends Error {
+  constructor(error, body) {
+    super(body && body.message ? body.message : error.message);
+    this.name = 'SessionApiRequestError';
+    this.status = error.response ? error.response.status : null;
+    this.code = body && body.code ? body.code : error.code;
+    this.details = body && body.details ? body.details : null;
+    this.response = error.response;
+  }
+}
+
+/**
+ * Read an error body that arrived as a stream
+ * @param {Object} stream - Response stream
+ * @returns {Promise<Object|null>} - Parsed body
+ */
+function readStreamBody(stream) {
+  return new Promise(resolve => {
+    let text = '';
+    stream.on('data', data => {
+      text += data.toString();
+    });
+    stream.on('end', () => {
+      try {
+        resolve(JSON.parse(text));
+      } catch (e) {
+        resolve(null);
+      }
+    });
+    stream.on('error', () => resolve(null));
+  });
+}
+
+class SessionApiClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.baseUrl - Session API URL
+   * @param {string} options.apiKey - Bearer key, when the API has keys configured
+   * @param {number} options.timeout - Request timeout in ms (0 for none)
+   */
+  constructor(options = {}) {
+    this.options = {
+      baseUrl: 'http://localhost:8081',
+      apiKey: null,
+      timeout: 0,
+      ...options
+    };
+
+    this.http = axios.create({
+      baseURL: this.options.baseUrl,
+      timeout: this.options.timeout,
+      headers: this.options.apiKey ? { Authorization: `Bearer ${this.options.apiKey}` } : {}
+    });
+  }
+
+  /**
+   * Send a request and unwrap the response
+   * @param {string} method - HTTP method
+   * @param {string} url - Request path
+   * @param {Object} options - { query, body, stream }
+   * @returns {Promise<any>} - Response body (or the raw response for streams)
+   */
+  async request(method, url, { query, body, stream = false } = {}) {
+    try {
+      const response = await this.http.request({
+        method,
+        url,
+        params: query,
+        data: body,
+        responseType: stream ? 'stream' : 'json'
+      });
+      return stream ? response : response.data;
+    } catch (error) {
+      let errorBody = error.response ? error.response.data : null;
+      if (stream && errorBody && typeof errorBody.on === 'function') {
+        errorBody = await readStreamBody(errorBody);
+        error.response.data = errorBody;
+      }
+      throw new SessionApiRequestError(error, errorBody);
+    }
+  }
+
+  /**
+   * Liveness and queue statistics
+   * @returns {Promise<Object>} - Health
+   */
+  getHealth() {
+    return this.request('get', `/health`);
+  }
+
+  /**
+   * Check the q CLI, wrapper script, profile, temp directory and IVR
+   * @param {Object} query - profile
+   * @returns {Promise<Object>} - Readiness
+   */
+  getReadiness(query) {
+    return this.request('get', `/health/ready`, { query });
+  }
+
+  /**
+   * Prometheus metrics in the text exposition format
+   * @returns {Promise<string>} - Metrics
+   */
+  getMetrics() {
+    return this.request('get', `/metrics`);
+  }
+
+  /**
+   * This document
+   * @returns {Promise<Object>} - OpenAPI document
+   */
+  getOpenApi() {
+    return this.request('get', `/openapi.json`);
+  }
+
+  /**
+   * List profiles and the prompt templates they use
+   * @returns {Promise<Object>} - Profiles
+   */
+  listProfiles() {
+    return this.request('get', `/api/profiles`);
+  }
+
+  /**
+   * Create a session
+   * @param {Object} [body] - CreateSessionRequest
+   * @returns {Promise<Object>} - CreateSessionResponse
+   */
+  createSession(body = {}) {
+    return this.request('post', `/api/sessions`, { body });
+  }
+
+  /**
+   * Get session info
+   * @param {string} sessionId - Path parameter
+   * @returns {Promise<Object>} - Session
+   */
+  getSession(sessionId) {
+    return this.request('get', `/api/sessions/${encodeURIComponent(sessionId)}`);
+  }
+
+  /**
+   * End a session
+   * @param {string} sessionId - Path parameter
+   * @returns {Promise<Object>} - EndSessionResponse
+   */
+  endSession(sessionId) {
+    return this.request('delete', `/api/sessions/${encodeURIComponent(sessionId)}`);
+  }
+
+  /**
+   * Get the session's message history
+   * @param {string} sessionId - Path parameter
+   * @returns {Promise<Object>} - MessageList
+   */
+  getMessages(sessionId) {
+    return this.request('get', `/api/sessions/${encodeURIComponent(sessionId)}/messages`);
+  }
+
+  /**
+   * Send an IVR prompt and wait for the response
+   * @param {string} sessionId - Path parameter
+   * @param {Object} body - SendMessageRequest
+   * @returns {Promise<Object>} - SendMessageResponse
+   */
+  sendMessage(sessionId, body) {
+    return this.request('post', `/api/sessions/${encodeURIComponent(sessionId)}/messages`, { body });
+  }
+
+  /**
+   * Send an IVR prompt given as query parameters and stream the response as Server-Sent Events
+   * @param {string} sessionId - Path parameter
+   * @param {Object} query - message, structured
+   * @returns {Promise<Object>} - Axios response whose data is the Server-Sent Events stream
+   */
+  streamMessageQuery(sessionId, query) {
+    return this.request('get', `/api/sessions/${encodeURIComponent(sessionId)}/messages/stream`, { query, stream: true });
+  }
+
+  /**
+   * Send an IVR prompt and stream the response as Server-Sent Events
+   * @param {string} sessionId - Path parameter
+   * @param {Object} body - SendMessageRequest
+   * @returns {Promise<Object>} - Axios response whose data is the Server-Sent Events stream
+   */
+  streamMessage(sessionId, body) {
+    return this.request('post', `/api/sessions/${encodeURIComponent(sessionId)}/messages/stream`, { body, stream: true });
+  }
+
+  /**
+   * Copy the first messageIndex messages into a new session
+   * @param {string} sessionId - Path parameter
+   * @param {Object} body - MessageIndexRequest
+   * @returns {Promise<Object>} - ForkResponse
+   */
+  forkSession(sessionId, body) {
+    return this.request('post', `/api/sessions/${encodeURIComponent(sessionId)}/fork`, { body });
+  }
+
+  /**
+   * Truncate the session to its first messageIndex messages
+   * @param {string} sessionId - Path parameter
+   * @param {Object} body - MessageIndexRequest
+   * @returns {Promise<Object>} - RewindResponse
+   */
+  rewindSession(sessionId, body) {
+    return this.request('post', `/api/sessions/${encodeURIComponent(sessionId)}/rewind`, { body });
+  }
+
+  /**
+   * List open sessions with age and idle time
+   * @param {Object} query - profile, provider, apiKeyId, minAge, minIdle
+   * @returns {Promise<Object>} - AdminSessionList
+   */
+  adminListSessions(query) {
+    return this.request('get', `/admin/sessions`, { query });
+  }
+
+  /**
+   * End every session matching a profile and/or age
+   * @param {Object} body - AdminEndSessionsRequest
+   * @returns {Promise<Object>} - AdminEndSessionsResponse
+   */
+  adminEndSessions(body) {
+    return this.request('post', `/admin/sessions/end`, { body });
+  }
+
+  /**
+   * Show the full prompt the session's next message would send
+   * @param {string} sessionId - Path parameter
+   * @param {Object} query - message, structured
+   * @returns {Promise<Object>} - AdminPrompt
+   */
+  adminGetPrompt(sessionId, query) {
+    return this.request('get', `/admin/sessions/${encodeURIComponent(sessionId)}/prompt`, { query });
+  }
+}
+
+module.exports = {
+  SessionApiClient,
+  SessionApiRequestError
+};
@@ -0,0 +1,40 @@
+/**
+ * Twilio Request Signing
+ *
+ * Computes X-Twilio-Signature the way Twilio does: an HMAC-SHA1, keyed with
+ * the account's auth token, over the full request URL followed by every POST
+ * parameter (sorted by name) as name + value, base64 encoded.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compute the signature for a request
+ * @param {string} authToken - Twilio auth token
+ * @param {string} url - Full URL the request goes to, including any query string
+ * @param {Object} params - POST parameters (empty for GET, whose parameters are already in the URL)
+ * @returns {string} - Base64 signature
+ */
+function computeSignature(authToken, url, params = {}) {
+  const data = Object.keys(params).sort().reduce((text, name) => text + name + params[name], url);
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+/**
+ * Check a request's signature
+ * @param {string} authToken - Twilio auth token
+ * @param {string} signature - X-Twilio-Signature header
+ * @param {string} url - Full URL the request was sent to
+ * @param {Object} params - POST parameters
+ * @returns {boolean} - True if the signature matches
+ */
+function validateSignature(authToken, signature, url, params = {}) {
+  const expected = Buffer.from(computeSignature(authToken, url, params));
+  const actual = Buffer.from(signature || '');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  computeSignature,
+  validateSignature
+};
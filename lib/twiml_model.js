@@ -0,0 +1,145 @@
+/**
+ * TwiML Prompt Model
+ *
+ * Turns a parsed TwiML response into an ordered list of verbs plus the
+ * Gather settings, so callers can see everything the IVR asked for (not just
+ * the spoken text) and still get the flattened text for state tracking.
+ */
+
+// Verbs whose element text is something other than speech
+const TEXT_FIELDS = {
+  Say: 'text',
+  Play: 'url',
+  Redirect: 'url',
+  Dial: 'number'
+};
+
+// Twilio's defaults for the Gather attributes we act on
+const GATHER_DEFAULTS = {
+  numDigits: null,       // No fixed length: the caller ends input with finishOnKey or the timeout
+  finishOnKey: '#',
+  timeout: 5,            // Seconds to wait for the next digit
+  input: ['dtmf'],
+  action: null,          // Null means "post back to the current URL"
+  method: 'POST'
+};
+
+/**
+ * Read an element's text content
+ * @param {string|Object} node - xml2js node
+ * @returns {string} - Trimmed text (empty when there is none)
+ */
+function nodeText(node) {
+  if (typeof node === 'string') {
+    return node.trim();
+  }
+  return node && typeof node._ === 'string' ? node._.trim() : '';
+}
+
+/**
+ * Build the model for one verb element
+ * @param {Object} node - xml2js node from an explicitChildren/preserveChildrenOrder parse
+ * @returns {Object} - { verb, attributes, text|url|number, children }
+ */
+function buildVerb(node) {
+  const verb = { verb: node['#name'], attributes: { ...(node.$ || {}) } };
+  const text = nodeText(node);
+
+  if (text) {
+    verb[TEXT_FIELDS[verb.verb] || 'text'] = text;
+  }
+  if (node.$$) {
+    verb.children = node.$$.map(buildVerb);
+  }
+  return verb;
+}
+
+/**
+ * Normalize Gather attributes, filling in Twilio's defaults
+ * @param {Object} attributes - Raw Gather attributes
+ * @returns {Object} - { numDigits, finishOnKey, timeout, input, action, method }
+ */
+function buildGather(attributes) {
+  const gather = { ...GATHER_DEFAULTS };
+
+  if (attributes.numDigits !== undefined) {
+    gather.numDigits = parseInt(attributes.numDigits) || null;
+  }
+  if (attributes.finishOnKey !== undefined) {
+    gather.finishOnKey = attributes.finishOnKey;
+  }
+  if (attributes.timeout !== undefined) {
+    gather.timeout = parseInt(attributes.timeout);
+  }
+  if (attributes.input) {
+    gather.input = attributes.input.split(/\s+/).filter(Boolean);
+  }
+  if (attributes.action) {
+    gather.action = attributes.action;
+  }
+  if (attributes.method) {
+    gather.method = attributes.method.toUpperCase();
+  }
+  return gather;
+}
+
+/**
+ * Collect the spoken text from a list of verbs, in order
+ * @param {Array} verbs - Verb models
+ * @returns {Array} - Text of every Say, including those nested in Gather
+ */
+function collectSayText(verbs) {
+  return verbs.reduce((texts, verb) => {
+    if (verb.verb === 'Say' && verb.text) {
+      texts.push(verb.text);
+    }
+    return verb.children ? texts.concat(collectSayText(verb.children)) : texts;
+  }, []);
+}
+
+/**
+ * Build the prompt model for a parsed TwiML response
+ * @param {Object} parsed - xml2js result (parsed with explicitChildren and preserveChildrenOrder)
+ * @returns {Object} - { verbs, gather, redirect, hangup, text }
+ */
+function buildPromptModel(parsed) {
+  const response = parsed && parsed.Response;
+  const verbs = response && response.$$ ? response.$$.map(buildVerb) : [];
+
+  const gatherVerb = verbs.find(verb => verb.verb === 'Gather');
+  const redirectVerb = verbs.find(verb => verb.verb === 'Redirect');
+
+  return {
+    verbs,
+    gather: gatherVerb ? buildGather(gatherVerb.attributes) : null,
+    redirect: redirectVerb ? { url: redirectVerb.url || null, method: (redirectVerb.attributes.method || 'POST').toUpperCase() } : null,
+    hangup: verbs.some(verb => verb.verb === 'Hangup'),
+    text: collectSayText(verbs).join(' ')
+  };
+}
+
+/**
+ * Describe a prompt model in one line, for logs and reports
+ * @param {Object} model - Prompt model
+ * @returns {string} - e.g. "Say, Pause, Gather(numDigits=7), Hangup"
+ */
+function describePromptModel(model) {
+  return model.verbs.map(verb => {
+    if (verb.verb !== 'Gather') {
+      return verb.verb;
+    }
+    const { numDigits, finishOnKey, input } = model.gather;
+    const settings = [
+      numDigits ? `numDigits=${numDigits}` : null,
+      finishOnKey !== GATHER_DEFAULTS.finishOnKey ? `finishOnKey=${finishOnKey || '""'}` : null,
+      input.join(' ') !== 'dtmf' ? `input=${input.join(' ')}` : null
+    ].filter(Boolean);
+    return settings.length ? `Gather(${settings.join(', ')})` : 'Gather';
+  }).join(', ');
+}
+
+module.exports = {
+  buildPromptModel,
+  describePromptModel,
+  GATHER_DEFAULTS
+};
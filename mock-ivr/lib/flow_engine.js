@@ -0,0 +1,385 @@
+/**
+ * Flow Engine
+ *
+ * Walks a declarative IVR flow definition and renders TwiML for each
+ * request. Call state (current node, collected values, retries) is kept per
+ * CallSid, so several test calls can run against one mock at once.
+ *
+ * Node types:
+ *   say      - Speak, then go to `next` (in the same response unless `hold` is set)
+ *   menu     - Gather one key (or a spoken keyword) and go to the matching option
+ *   collect  - Gather digits, validate them, store them under `store`, go to `next`
+ *   branch   - Pick `next` from the first matching condition on collected values
+ *   hangup   - Speak and hang up
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const NODE_TYPES = ['say', 'menu', 'collect', 'branch', 'hangup'];
+
+// Nodes rendered in one response before the engine assumes the flow loops
+const MAX_CHAIN = 20;
+
+/**
+ * Escape text for an XML element or attribute
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Load a flow definition from a JSON or YAML file
+ * @param {string} file - Flow file
+ * @returns {Object} - Flow definition
+ */
+function loadFlowFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (/\.ya?ml$/i.test(file)) {
+    return require('js-yaml').load(text);
+  }
+  return JSON.parse(text);
+}
+
+/**
+ * Normalize a menu option: "refill_rx" or { next, speech }
+ * @param {string|Object} option - Option from the flow file
+ * @returns {Object} - { next, speech }
+ */
+function normalizeOption(option) {
+  return typeof option === 'string' ? { next: option, speech: [] } : { speech: [], ...option };
+}
+
+/**
+ * Check a flow definition and fill in defaults
+ * @param {Object} flow - Flow definition
+ * @returns {Object} - Checked flow
+ */
+function checkFlow(flow) {
+  if (!flow || !flow.nodes || !flow.start) {
+    throw new Error('A flow needs a start node and a nodes map');
+  }
+
+  const errors = [];
+  const target = (from, next) => {
+    if (next && !flow.nodes[next]) {
+      errors.push(`${from} points to unknown node ${next}`);
+    }
+  };
+
+  target('start', flow.start);
+  Object.entries(flow.nodes).forEach(([name, node]) => {
+    if (!NODE_TYPES.includes(node.type)) {
+      errors.push(`${name} has unknown type ${node.type} (expected one of ${NODE_TYPES.join(', ')})`);
+      return;
+    }
+    target(name, node.next);
+    target(name, node.invalid && node.invalid.next);
+    if (node.type === 'menu') {
+      node.options = Object.fromEntries(Object.entries(node.options || {}).map(([key, option]) => [key, normalizeOption(option)]));
+      Object.values(node.options).forEach(option => target(name, option.next));
+    }
+    if (node.type === 'collect' && !node.store) {
+      errors.push(`${name} is a collect node without a store name`);
+    }
+    if (node.type === 'branch') {
+      (node.branches || []).forEach(branch => target(name, branch.next));
+      target(name, node.default);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid flow ${flow.name || ''}: ${errors.join('; ')}`);
+  }
+  return flow;
+}
+
+class FlowEngine {
+  /**
+   * @param {Object} flow - Flow definition (see flows/pharmacy.yaml)
+   * @param {Object} logger - Logger
+   */
+  constructor(flow, logger = console) {
+    this.flow = checkFlow(flow);
+    this.logger = logger;
+    this.calls = new Map();
+  }
+
+  /**
+   * Create an engine from a flow file
+   * @param {string} file - JSON or YAML flow file
+   * @param {Object} logger - Logger
+   * @returns {FlowEngine} - Engine
+   */
+  static fromFile(file, logger = console) {
+    const flow = loadFlowFile(path.resolve(file));
+    logger.info(`Loaded flow ${flow.name || path.basename(file)} with ${Object.keys(flow.nodes || {}).length} nodes from ${file}`);
+    return new FlowEngine(flow, logger);
+  }
+
+  /**
+   * Fill {{name}} placeholders from the call's collected values
+   * @param {string} text - Text with placeholders
+   * @param {Object} values - Collected values
+   * @returns {string} - Filled text
+   */
+  fill(text, values) {
+    return String(text).replace(/\{\{(\w+)\}\}/g, (match, name) => (values[name] !== undefined ? values[name] : ''));
+  }
+
+  /**
+   * Render a node's `say` (a string or a list of lines) as Say verbs
+   * @param {Object} node - Flow node
+   * @param {Object} call - Call state
+   * @returns {string} - TwiML
+   */
+  renderSay(node, call) {
+    const lines = Array.isArray(node.say) ? node.say : node.say ? [node.say] : [];
+    const voice = node.voice || this.flow.voice;
+    const attributes = voice ? ` voice="${escapeXml(voice)}"` : '';
+    return lines.map(line => `<Say${attributes}>${escapeXml(this.fill(line, call.values))}</Say>`).join('');
+  }
+
+  /**
+   * Render the Gather for a menu or collect node
+   * @param {Object} node - Flow node
+   * @param {Object} call - Call state
+   * @returns {string} - TwiML
+   */
+  renderGather(node, call) {
+    const speech = node.type === 'menu' && Object.values(node.options).some(option => option.speech.length > 0);
+    const attributes = {
+      input: speech ? 'dtmf speech' : 'dtmf',
+      timeout: node.timeout || this.flow.timeout || 5,
+      ...(node.type === 'menu' ? { numDigits: 1 } : {}),
+      ...(node.type === 'collect' && node.numDigits ? { numDigits: node.numDigits } : {}),
+      ...(node.type === 'collect' ? { finishOnKey: node.finishOnKey !== undefined ? node.finishOnKey : '#' } : {})
+    };
+    const attributeText = Object.entries(attributes).map(([name, value]) => ` ${name}="${escapeXml(value)}"`).join('');
+    return `<Gather${attributeText}>${this.renderSay(node, call)}</Gather>`;
+  }
+
+  /**
+   * Pick the next node for a branch node
+   * @param {Object} node - Branch node
+   * @param {Object} values - Collected values
+   * @returns {string} - Next node name
+   */
+  pickBranch(node, values) {
+    const match = (node.branches || []).find(branch => {
+      const value = values[branch.when.value];
+      if (branch.when.equals !== undefined) {
+        return String(value) === String(branch.when.equals);
+      }
+      if (branch.when.in !== undefined) {
+        return branch.when.in.map(String).includes(String(value));
+      }
+      if (branch.when.matches !== undefined) {
+        return new RegExp(branch.when.matches).test(value || '');
+      }
+      return false;
+    });
+    return match ? match.next : node.default;
+  }
+
+  /**
+   * Check collected digits against a collect node's rules
+   * @param {Object} node - Collect node
+   * @param {string} digits - Digits entered
+   * @returns {boolean} - True if valid
+   */
+  isValid(node, digits) {
+    const rules = node.validate || {};
+    if (!digits) {
+      return false;
+    }
+    if (rules.length !== undefined && digits.length !== rules.length) {
+      return false;
+    }
+    if (rules.minLength !== undefined && digits.length < rules.minLength) {
+      return false;
+    }
+    if (rules.maxLength !== undefined && digits.length > rules.maxLength) {
+      return false;
+    }
+    return rules.pattern === undefined || new RegExp(rules.pattern).test(digits);
+  }
+
+  /**
+   * Apply caller input to the node the call is waiting on
+   * @param {Object} call - Call state
+   * @param {Object} input - { digits, speech }
+   * @returns {Array} - TwiML to say before moving on (e.g. an invalid-input message)
+   */
+  applyInput(call, { digits, speech }) {
+    const node = this.flow.nodes[call.node];
+
+    if (node.type === 'menu') {
+      const spoken = speech ? speech.toLowerCase() : null;
+      const key = digits ? digits.charAt(0) : Object.keys(node.options).find(optionKey => {
+        return spoken && node.options[optionKey].speech.some(word => spoken.includes(String(word).toLowerCase()));
+      });
+      const option = key !== undefined ? node.options[key] : null;
+      if (option) {
+        this.logger.info(`${call.callSid}: ${call.node} -> ${option.next} (${digits ? `pressed ${key}` : `said "${speech}"`})`);
+        call.node = option.next;
+        call.retries = 0;
+        return [];
+      }
+      return this.rejectInput(call, node, digits || speech);
+    }
+
+    if (node.type === 'collect') {
+      // Twilio strips the finishing key before posting Digits
+      const finishOnKey = node.finishOnKey !== undefined ? node.finishOnKey : '#';
+      const value = finishOnKey && digits && digits.endsWith(finishOnKey) ? digits.slice(0, -finishOnKey.length) : digits;
+      if (this.isValid(node, value)) {
+        this.logger.info(`${call.callSid}: collected ${node.store}=${value} at ${call.node}`);
+        call.values[node.store] = value;
+        call.node = node.next;
+        call.retries = 0;
+        return [];
+      }
+      return this.rejectInput(call, node, value);
+    }
+
+    return [];
+  }
+
+  /**
+   * Handle input a menu or collect node doesn't accept
+   * @param {Object} call - Call state
+   * @param {Object} node - Current node
+   * @param {string} input - What the caller entered
+   * @returns {Array} - Say verbs for the invalid-input message
+   */
+  rejectInput(call, node, input) {
+    const invalid = { say: this.flow.invalidSay || 'You entered an invalid selection.', ...(node.invalid || {}) };
+    call.retries++;
+    this.logger.info(`${call.callSid}: invalid input "${input || ''}" at ${call.node} (attempt ${call.retries})`);
+
+    const maxRetries = node.maxRetries || this.flow.maxRetries || 3;
+    if (call.retries >= maxRetries && this.flow.nodes[this.flow.tooManyRetries]) {
+      call.node = this.flow.tooManyRetries;
+      call.retries = 0;
+    } else if (invalid.next) {
+      call.node = invalid.next;
+    }
+    return [this.renderSay(invalid, call)];
+  }
+
+  /**
+   * Render TwiML from the call's current node, running through say and
+   * branch nodes until one waits for input or hangs up
+   * @param {Object} call - Call state
+   * @param {Array} parts - TwiML already queued for this response
+   * @returns {string} - TwiML document
+   */
+  render(call, parts = []) {
+    for (let i = 0; i < MAX_CHAIN; i++) {
+      const node = this.flow.nodes[call.node];
+
+      switch (node.type) {
+        case 'say':
+          parts.push(this.renderSay(node, call));
+          call.node = node.next;
+          if (node.hold || !node.next) {
+            return this.document(parts);
+          }
+          break;
+        case 'branch':
+          call.node = this.pickBranch(node, call.values);
+          break;
+        case 'menu':
+        case 'collect':
+          call.waiting = true;
+          parts.push(this.renderGather(node, call));
+          return this.document(parts);
+        case 'hangup':
+          parts.push(this.renderSay(node, call), '<Hangup/>');
+          call.ended = true;
+          this.logger.info(`${call.callSid}: hung up at ${call.node}`);
+          return this.document(parts);
+      }
+    }
+    throw new Error(`Flow ran through ${MAX_CHAIN} nodes without waiting for input (loop at ${call.node}?)`);
+  }
+
+  /**
+   * Wrap verbs in a TwiML document
+   * @param {Array} parts - TwiML verbs
+   * @returns {string} - TwiML document
+   */
+  document(parts) {
+    return `<?xml version="1.0" encoding="UTF-8"?><Response>${parts.join('')}</Response>`;
+  }
+
+  /**
+   * Handle one voice webhook request
+   * @param {Object} params - Twilio request parameters (CallSid, Digits, SpeechResult, ...)
+   * @returns {string} - TwiML document
+   */
+  handle(params) {
+    const callSid = params.CallSid;
+    if (!callSid) {
+      throw new Error('CallSid is required');
+    }
+
+    let call = this.calls.get(callSid);
+    if (!call) {
+      call = { callSid, node: this.flow.start, values: {}, retries: 0, waiting: false, startedAt: Date.now() };
+      this.calls.set(callSid, call);
+      this.logger.info(`${callSid}: new call from ${params.From || 'unknown'} at ${call.node}`);
+      return this.render(call);
+    }
+
+    if (call.ended) {
+      // The flow already hung up; keep hanging up until the status callback
+      return this.document(['<Hangup/>']);
+    }
+
+    const digits = params.Digits || null;
+    const speech = params.SpeechResult || null;
+    if (!call.waiting) {
+      // Held after a say node: the next request picks up where it stopped
+      return this.render(call);
+    }
+
+    call.waiting = false;
+    if (!digits && !speech) {
+      // Gather timed out: say the prompt again
+      return this.render(call);
+    }
+    const prefix = this.applyInput(call, { digits, speech });
+    return this.render(call, prefix);
+  }
+
+  /**
+   * Count calls that haven't hung up yet
+   * @returns {number} - Active calls
+   */
+  activeCalls() {
+    return Array.from(this.calls.values()).filter(call => !call.ended).length;
+  }
+
+  /**
+   * Forget a call (status callback)
+   * @param {string} callSid - Call SID
+   * @returns {boolean} - True if the call was active
+   */
+  end(callSid) {
+    return this.calls.delete(callSid);
+  }
+}
+
+module.exports = {
+  FlowEngine,
+  loadFlowFile,
+  checkFlow
+};
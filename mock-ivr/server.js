@@ -0,0 +1,84 @@
+/**
+ * Mock IVR
+ *
+ * A local stand-in for the live IVR: answers Twilio voice webhooks with TwiML
+ * from a flow definition, so the tools can be developed and tested offline.
+ */
+
+const express = require('express');
+const winston = require('winston');
+const path = require('path');
+const { FlowEngine } = require('./lib/flow_engine');
+const { validateSignature } = require('../lib/twilio_signature');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.colorize(),
+    winston.format.simple()
+  ),
+  defaultMeta: { service: 'mock-ivr' },
+  transports: [new winston.transports.Console()]
+});
+
+const PORT = process.env.PORT || 8090;
+const FLOW_FILE = process.env.FLOW_FILE || path.join(__dirname, 'flows', 'pharmacy.yaml');
+
+// Set to check X-Twilio-Signature on every request, like a secured production webhook
+const AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || null;
+
+const engine = FlowEngine.fromFile(FLOW_FILE, logger);
+
+// Initialize Express app
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+/**
+ * Collect webhook parameters from the query string (GET) and form body (POST)
+ * @param {Object} req - Express request
+ * @returns {Object} - Parameters
+ */
+function webhookParams(req) {
+  return { ...req.query, ...(req.method === 'POST' ? req.body : {}) };
+}
+
+// Reject unsigned or badly signed requests when an auth token is configured
+app.use('/twilio', (req, res, next) => {
+  if (!AUTH_TOKEN) {
+    return next();
+  }
+  const url = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  if (!validateSignature(AUTH_TOKEN, req.get('X-Twilio-Signature'), url, req.method === 'POST' ? req.body : {})) {
+    logger.warn(`Rejected ${req.method} ${req.originalUrl}: bad X-Twilio-Signature`);
+    return res.status(403).type('text/plain').send('Invalid X-Twilio-Signature');
+  }
+  next();
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', flow: engine.flow.name || null, activeCalls: engine.activeCalls() });
+});
+
+// Call status callback: forget the call
+app.all('/twilio/v1/voice/status', (req, res) => {
+  const params = webhookParams(req);
+  const active = engine.end(params.CallSid);
+  logger.info(`${params.CallSid}: ${params.CallStatus || 'status'}${active ? '' : ' (no active call)'}`);
+  res.type('text/xml').send('<?xml version="1.0" encoding="UTF-8"?><Response/>');
+});
+
+// Voice webhook: every Gather posts back here
+app.all('/twilio/v1/voice', (req, res) => {
+  try {
+    res.type('text/xml').send(engine.handle(webhookParams(req)));
+  } catch (error) {
+    logger.error(`Error handling ${req.method} ${req.originalUrl}: ${error.message}`);
+    res.status(400).type('text/plain').send(error.message);
+  }
+});
+
+app.listen(PORT, () => {
+  logger.info(`Mock IVR running on port ${PORT} with flow ${FLOW_FILE}${AUTH_TOKEN ? ' (signatures required)' : ''}`);
+});
@@ -6,44 +6,178 @@
  * This script runs an automated IVR test using Amazon Q to navigate the IVR system.
  */
 
-const { program } = require('commander');
+const { program, InvalidArgumentError } = require('commander');
 const path = require('path');
 const fs = require('fs');
 const chalk = require('chalk');
 const IvrFlowTester = require('./lib/ivr_flow_tester');
 const IvrIntegration = require('./ivr-integration');
+const { DTMF_STRATEGIES } = require('./lib/dtmf_strategy');
+const { IvrLoadTest, formatLoadReport } = require('./lib/ivr_load_test');
+
+/**
+ * Collect repeated --data key=value options into an object
+ * @param {string} value - Option value
+ * @param {Object} previous - Values collected so far
+ * @returns {Object} - Updated values
+ */
+function collectData(value, previous) {
+  const separator = value.indexOf('=');
+  if (separator < 1) {
+    throw new InvalidArgumentError(`Invalid --data value "${value}", expected key=value`);
+  }
+  return { ...previous, [value.substring(0, separator).trim()]: value.substring(separator + 1).trim() };
+}
+
+/**
+ * Check a --dtmf-strategy value
+ * @param {string} value - Option value
+ * @returns {string} - Strategy name
+ */
+function parseDtmfStrategy(value) {
+  const names = ['auto', ...Object.keys(DTMF_STRATEGIES)];
+  if (!names.includes(value)) {
+    throw new InvalidArgumentError(`Expected one of ${names.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Parse a non-negative number option
+ * @param {string} value - Option value
+ * @returns {number} - Parsed number
+ */
+function parseCount(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new InvalidArgumentError('Expected a number of at least 0');
+  }
+  return number;
+}
 
 // Configure command line options
 program
   .version('1.0.0')
   .option('-u, --url <url>', 'Amazon Q Session API URL', 'http://localhost:8081')
   .option('-p, --profile <profile>', 'Amazon Q profile to use', 'IVR_tester')
+  .option('-k, --api-key <key>', 'API key for the Session API (defaults to $SESSION_API_KEY)', process.env.SESSION_API_KEY)
   .option('-o, --output <directory>', 'Output directory', './ivr_results')
   .option('-i, --ivr <url>', 'IVR system URL', 'https://inbound-ivr-bot-text.pc.q.platform.enlivenhealth.co')
   .option('-f, --from <number>', 'From phone number', '7249143802')
   .option('-t, --to <number>', 'To phone number', '9193736940')
+  .option('--account-sid <sid>', 'Twilio account SID sent with every IVR request (defaults to $TWILIO_ACCOUNT_SID)', process.env.TWILIO_ACCOUNT_SID)
+  .option('--auth-token <token>', 'Twilio auth token for signing IVR requests (defaults to $TWILIO_AUTH_TOKEN)', process.env.TWILIO_AUTH_TOKEN)
   .option('-w, --wait <ms>', 'Wait time between steps (ms)', '2000')
+  .option('-s, --dtmf-strategy <name>', 'How to send multi-digit input: auto, all-at-once, finish-on-key, per-digit or first-then-rest', parseDtmfStrategy, 'auto')
   .option('-n, --name <name>', 'Test name', 'AI_IVR_Test')
+  .option('-g, --goal <goal>', 'Goal for this call, e.g. "listen to weekly pharmacy hours"')
+  .option('-d, --data <key=value>', 'Test data for the IVR to use (repeatable), e.g. "RX number=9009400"', collectData, {})
+  .option('--record <file>', 'Record every IVR request and response to a cassette file')
+  .option('--replay <file>', 'Replay IVR responses from a cassette file instead of calling the IVR')
+  .option('--realtime', 'When replaying, wait as long as each recorded response took')
+  .option('-L, --load <calls>', 'Load mode: run --scenario or --path on this many concurrent calls, without the model', parseCount)
+  .option('--scenario <name>', 'Load mode: scenario file, or name in scenarios/, each call runs')
+  .option('--path <cassette>', 'Load mode: cassette whose recorded call each call repeats live')
+  .option('--ramp-up <seconds>', 'Load mode: seconds over which the calls start', parseCount, 0)
   .parse(process.argv);
 
 const options = program.opts();
 
+if (options.record && options.replay) {
+  program.error('--record and --replay cannot be used together');
+}
+if (options.load !== undefined) {
+  if (!options.scenario === !options.path) {
+    program.error('--load needs either --scenario or --path');
+  }
+  if (options.record || options.replay) {
+    // Overlapping calls don't make requests in a fixed order, so a cassette can't follow them
+    program.error('--load cannot be used with --record or --replay');
+  }
+  if (options.load < 1) {
+    program.error('--load needs at least 1 call');
+  }
+}
+
 // Create output directory if it doesn't exist
 if (!fs.existsSync(options.output)) {
   fs.mkdirSync(options.output, { recursive: true });
 }
 
+/**
+ * Run the load test and print its report
+ */
+async function runLoadTest() {
+  console.log(chalk.blue('IVR Load Test'));
+  console.log(chalk.blue('============='));
+  console.log(chalk.blue('IVR system URL:'), options.ivr);
+  console.log(chalk.blue('Plan:'), options.scenario ? `scenario ${options.scenario}` : `path ${options.path}`);
+  console.log(chalk.blue('Calls:'), options.load, `over ${options.rampUp}s`);
+  console.log(chalk.blue('Output directory:'), options.output);
+  console.log('');
+  
+  const ivrTester = new IvrFlowTester({
+    baseUrl: options.ivr,
+    from: options.from,
+    to: options.to,
+    defaultWaitTime: parseInt(options.wait),
+    dtmfStrategy: options.dtmfStrategy,
+    accountSid: options.accountSid || null,
+    authToken: options.authToken || null,
+    debug: false,
+    outputDir: path.join(options.output, 'ivr_logs'),
+    logFile: path.join(options.output, 'ivr_flow_tester.log')
+  });
+  
+  const loadTest = new IvrLoadTest(ivrTester, {
+    calls: options.load,
+    rampUp: options.rampUp,
+    scenario: options.scenario || null,
+    path: options.path || null,
+    name: options.name,
+    data: options.data
+  });
+  
+  const report = await loadTest.run();
+  const markdown = formatLoadReport(report);
+  fs.writeFileSync(path.join(options.output, 'load_report.json'), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(options.output, 'load_report.md'), markdown);
+  
+  console.log(markdown);
+  console.log(chalk.blue('Results saved to:'), options.output);
+  
+  if (report.failedCalls > 0) {
+    console.error(chalk.red(`${report.failedCalls} of ${report.calls} calls failed`));
+    process.exit(1);
+  }
+}
+
 /**
  * Main function
  */
 async function main() {
+  if (options.load !== undefined) {
+    return runLoadTest();
+  }
+  
   console.log(chalk.blue('AI-Powered IVR Test Runner'));
   console.log(chalk.blue('========================='));
   console.log(chalk.blue('Amazon Q Session API URL:'), options.url);
   console.log(chalk.blue('Using profile:'), options.profile);
   console.log(chalk.blue('Output directory:'), options.output);
   console.log(chalk.blue('IVR system URL:'), options.ivr);
+  console.log(chalk.blue('Request signing:'), options.authToken ? 'on' : 'off');
   console.log(chalk.blue('Wait time:'), options.wait, 'ms');
+  console.log(chalk.blue('DTMF strategy:'), options.dtmfStrategy);
+  if (options.record || options.replay) {
+    console.log(chalk.blue(options.record ? 'Recording to:' : 'Replaying from:'), options.record || options.replay);
+  }
+  if (options.goal) {
+    console.log(chalk.blue('Goal:'), options.goal);
+  }
+  if (Object.keys(options.data).length > 0) {
+    console.log(chalk.blue('Test data:'), Object.keys(options.data).join(', '));
+  }
   console.log('');
   
   // Initialize IVR Flow Tester
@@ -52,6 +186,12 @@ async function main() {
     from: options.from,
     to: options.to,
     defaultWaitTime: parseInt(options.wait),
+    dtmfStrategy: options.dtmfStrategy,
+    accountSid: options.accountSid || null,
+    authToken: options.authToken || null,
+    cassetteMode: options.record ? 'record' : options.replay ? 'replay' : 'off',
+    cassetteFile: options.record || options.replay || null,
+    cassetteRealtime: Boolean(options.realtime),
     outputDir: path.join(options.output, 'ivr_logs'),
     logFile: path.join(options.output, 'ivr_flow_tester.log')
   });
@@ -59,8 +199,11 @@ async function main() {
   // Initialize IVR Integration
   const integration = new IvrIntegration({
     apiUrl: options.url,
+    apiKey: options.apiKey,
     profile: options.profile,
-    outputDir: options.output
+    outputDir: options.output,
+    goal: options.goal || null,
+    testData: options.data
   });
   
   // Connect the components
@@ -79,6 +222,11 @@ async function main() {
       console.log(`Completed ${results.steps} steps before failure`);
     }
     
+    const unplayed = ivrTester.cassette.remaining();
+    if (unplayed > 0) {
+      console.log(chalk.yellow(`\n${unplayed} recorded IVR exchanges were not replayed; the run ended earlier than the recording`));
+    }
+    
     console.log(chalk.blue('\nResults saved to:'), options.output);
     
   } catch (error) {
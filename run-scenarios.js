@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * IVR Scenario Runner
+ *
+ * Runs declarative flow tests (scenarios/*.yaml, or any scenario files given)
+ * against the IVR with the flow tester, and writes the results and report.
+ *
+ * Exits non-zero when any scenario fails.
+ */
+
+const { program, InvalidArgumentError } = require('commander');
+const path = require('path');
+const fs = require('fs');
+const chalk = require('chalk');
+const IvrFlowTester = require('./lib/ivr_flow_tester');
+const { listScenarioFiles } = require('./lib/ivr_scenario');
+
+/**
+ * Collect repeated --data key=value options into an object
+ * @param {string} value - Option value
+ * @param {Object} previous - Values collected so far
+ * @returns {Object} - Updated values
+ */
+function collectData(value, previous) {
+  const separator = value.indexOf('=');
+  if (separator < 1) {
+    throw new InvalidArgumentError(`Invalid --data value "${value}", expected key=value`);
+  }
+  return { ...previous, [value.substring(0, separator).trim()]: value.substring(separator + 1).trim() };
+}
+
+// Configure command line options
+program
+  .version('1.0.0')
+  .argument('[scenarios...]', 'Scenario files or names in scenarios/ (default: every scenario in scenarios/)')
+  .option('-i, --ivr <url>', 'IVR system URL', 'https://inbound-ivr-bot-text.pc.q.platform.enlivenhealth.co')
+  .option('-o, --output <directory>', 'Output directory', './ivr_test_results')
+  .option('-w, --wait <ms>', 'Wait time between steps (ms)', '2000')
+  .option('-d, --data <key=value>', 'Test value for every scenario (repeatable), e.g. rxNumber=1234567', collectData, {})
+  .option('--account-sid <sid>', 'Twilio account SID sent with every IVR request (defaults to $TWILIO_ACCOUNT_SID)', process.env.TWILIO_ACCOUNT_SID)
+  .option('--auth-token <token>', 'Twilio auth token for signing IVR requests (defaults to $TWILIO_AUTH_TOKEN)', process.env.TWILIO_AUTH_TOKEN)
+  .option('--record <file>', 'Record every IVR request and response to a cassette file')
+  .option('--replay <file>', 'Replay IVR responses from a cassette file instead of calling the IVR')
+  .option('--quiet', 'Only print the results')
+  .parse(process.argv);
+
+const options = program.opts();
+
+if (options.record && options.replay) {
+  program.error('--record and --replay cannot be used together');
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const scenarios = program.args.length > 0 ? program.args : listScenarioFiles(path.join(__dirname, 'scenarios'));
+  if (scenarios.length === 0) {
+    program.error('No scenarios to run');
+  }
+
+  const tester = new IvrFlowTester({
+    baseUrl: options.ivr,
+    defaultWaitTime: parseInt(options.wait),
+    accountSid: options.accountSid || null,
+    authToken: options.authToken || null,
+    cassetteMode: options.record ? 'record' : options.replay ? 'replay' : 'off',
+    cassetteFile: options.record || options.replay || null,
+    debug: !options.quiet,
+    outputDir: options.output,
+    logFile: path.join(options.output, 'ivr_flow_tester.log')
+  });
+
+  for (const scenario of scenarios) {
+    await tester.runScenario(scenario, options.data);
+  }
+
+  const report = tester.generateReport();
+  fs.writeFileSync(path.join(options.output, 'test_report.md'), report);
+  fs.writeFileSync(path.join(options.output, 'test_results.json'), JSON.stringify(tester.testResults, null, 2));
+
+  console.log(chalk.blue('\nScenario Results'));
+  const results = Object.entries(tester.testResults);
+  results.forEach(([name, result]) => {
+    const status = result.success ? chalk.green('PASS') : chalk.red('FAIL');
+    console.log(`  ${status} ${name.padEnd(24)} ${result.finalState}${result.error ? chalk.red(` - ${result.error}`) : ''}`);
+  });
+  console.log(chalk.blue('\nResults saved to:'), options.output);
+
+  if (results.some(([, result]) => !result.success)) {
+    process.exit(1);
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  console.error(chalk.red('\nFatal error:'), error.message);
+  process.exit(1);
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ApiKeyAuth, ownsSession } = require('../../api/lib/api_keys');
+const { SessionNotFoundError, UnauthorizedError, AdminDisabledError, RateLimitedError } = require('../../api/lib/errors');
+
+const quietLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Run a middleware against a request and report what it passed to next()
+ * @param {Function} middleware - Express middleware
+ * @param {Object} req - Fake request
+ * @returns {*} - The argument given to next() (undefined when the request goes through)
+ */
+function run(middleware, req) {
+  let result = 'next() not called';
+  middleware(req, { set(name, value) { req.responseHeaders = { [name]: value }; } }, error => {
+    result = error;
+  });
+  return result;
+}
+
+/**
+ * Build a fake request with an Authorization header
+ * @param {string} [authorization] - Header value
+ * @returns {Object} - Request
+ */
+function withAuth(authorization) {
+  return { method: 'GET', originalUrl: '/api/sessions', get: () => authorization };
+}
+
+/**
+ * Load keys from a temp keys file
+ * @param {Object} t - Test context, for cleanup
+ * @param {Object} config - Keys file contents
+ * @param {Object} [options] - More ApiKeyAuth options
+ * @returns {ApiKeyAuth} - Loaded auth
+ */
+function loadKeys(t, config, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api_keys_'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'api_keys.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  const auth = new ApiKeyAuth({ file, ...options }, quietLogger);
+  auth.load();
+  return auth;
+}
+
+const config = {
+  defaults: { burst: 2, refillPerSecond: 1 },
+  keys: [{ id: 'local-dev', key: 'dev-key' }, { id: 'ci', key: 'ci-key', burst: 5, maxSessions: 50 }]
+};
+
+test('lets everyone in when there is no keys file', () => {
+  const auth = new ApiKeyAuth({ file: path.join(os.tmpdir(), 'no_such_api_keys.json') }, quietLogger);
+  assert.strictEqual(auth.load(), 0);
+  assert.strictEqual(auth.enabled, false);
+
+  const req = withAuth();
+  assert.strictEqual(run(auth.middleware(), req), undefined);
+  assert.strictEqual(req.apiKey, null);
+});
+
+test('fills in each key\'s limits from the defaults', t => {
+  const auth = loadKeys(t, config);
+  assert.deepStrictEqual(auth.keys.map(({ id, burst, refillPerSecond, maxSessions }) => [id, burst, refillPerSecond, maxSessions]),
+    [['local-dev', 2, 1, 10], ['ci', 5, 1, 50]]);
+  assert.throws(() => loadKeys(t, { keys: [{ id: 'no-key' }] }), /needs an id and a key/);
+});
+
+test('sets req.apiKey for a known bearer token and rejects the rest', t => {
+  const middleware = loadKeys(t, config).middleware();
+
+  const req = withAuth('Bearer ci-key');
+  assert.strictEqual(run(middleware, req), undefined);
+  assert.strictEqual(req.apiKey.id, 'ci');
+
+  [[undefined, 'Missing bearer token'], ['ci-key', 'Missing bearer token'], ['Bearer wrong', 'Unknown API key']].forEach(([header, message]) => {
+    const error = run(middleware, withAuth(header));
+    assert.ok(error instanceof UnauthorizedError);
+    assert.strictEqual(error.message, message);
+  });
+});
+
+test('rate limits each key on its own bucket', t => {
+  const middleware = loadKeys(t, config).middleware();
+
+  assert.strictEqual(run(middleware, withAuth('Bearer dev-key')), undefined);
+  assert.strictEqual(run(middleware, withAuth('Bearer dev-key')), undefined);
+  const req = withAuth('Bearer dev-key');
+  const error = run(middleware, req);
+  assert.ok(error instanceof RateLimitedError);
+  assert.strictEqual(error.statusCode, 429);
+  assert.deepStrictEqual(req.responseHeaders, { 'Retry-After': '1' });
+
+  assert.strictEqual(run(middleware, withAuth('Bearer ci-key')), undefined);
+});
+
+test('keeps API keys out of the admin routes', t => {
+  assert.ok(run(loadKeys(t, config).adminMiddleware(), withAuth('Bearer ci-key')) instanceof AdminDisabledError);
+
+  const admin = loadKeys(t, config, { adminKey: 'admin-key' }).adminMiddleware();
+  assert.strictEqual(run(admin, withAuth('Bearer admin-key')), undefined);
+  assert.ok(run(admin, withAuth('Bearer ci-key')) instanceof UnauthorizedError);
+});
+
+test('a session belongs to the key that created it', () => {
+  assert.strictEqual(ownsSession({ id: 'ci' }, { apiKeyId: 'ci' }), true);
+  assert.strictEqual(ownsSession({ id: 'ci' }, { apiKeyId: 'local-dev' }), false);
+  assert.strictEqual(ownsSession({ id: 'ci' }, {}), false);
+  assert.strictEqual(ownsSession(null, { apiKeyId: 'ci' }), true);
+});
+
+test('reports another key\'s session as not found', () => {
+  const sessions = { mine: { apiKeyId: 'ci' }, theirs: { apiKeyId: 'local-dev' } };
+  const middleware = new ApiKeyAuth({}, quietLogger).sessionMiddleware(sessionId => sessions[sessionId]);
+  const apiKey = { id: 'ci' };
+
+  assert.strictEqual(run(middleware, { apiKey, params: { sessionId: 'mine' } }), undefined);
+  assert.strictEqual(run(middleware, { apiKey, params: { sessionId: 'missing' } }), undefined);
+  assert.strictEqual(run(middleware, { apiKey: null, params: { sessionId: 'theirs' } }), undefined);
+
+  const error = run(middleware, { apiKey, params: { sessionId: 'theirs' } });
+  assert.ok(error instanceof SessionNotFoundError);
+  assert.strictEqual(error.statusCode, 404);
+  assert.strictEqual(error.code, 'SESSION_NOT_FOUND');
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HistoryCompactor, estimateTokens, summarizeExchanges } = require('../../api/lib/history_compactor');
+
+const quietLogger = { info() {}, warn() {} };
+
+// Six exchanges through the refill flow
+const EXCHANGES = [
+  ['Thank you for calling the pharmacy. To refill a prescription, press 1. To check the status, press 2.', '1'],
+  ['Please enter your prescription number followed by pound.', '9009400#'],
+  ['You entered 9009400. If this is correct, press 1.', '1'],
+  ['Your refill has been submitted. To return to the main menu, press 9.', '9'],
+  ['Please leave your message after the tone.', 'Hang Up'],
+  ['Our normal business hours are Monday from 9 AM', '4']
+];
+
+const messages = EXCHANGES.flatMap(([prompt, reply]) => [
+  { role: 'user', content: prompt },
+  { role: 'assistant', content: reply }
+]);
+
+/**
+ * Check that every user message in a history is followed by its reply
+ * @param {Array} history - Compacted messages
+ */
+function assertWholeExchanges(history) {
+  history.forEach((message, index) => {
+    if (message.role === 'user') {
+      assert.strictEqual(history[index + 1].role, 'assistant', `message ${index} lost its reply`);
+    }
+    if (message.role === 'assistant') {
+      assert.strictEqual(history[index - 1].role, 'user', `message ${index} lost its prompt`);
+    }
+  });
+}
+
+test('estimates about four characters per token', () => {
+  assert.strictEqual(estimateTokens(''), 0);
+  assert.strictEqual(estimateTokens('abcde'), 2);
+});
+
+test('leaves a history within budget alone', () => {
+  const compactor = new HistoryCompactor({ maxTokens: 10000 }, quietLogger);
+  const history = compactor.compact('session', messages);
+  assert.deepStrictEqual(history, messages);
+  assert.notStrictEqual(history, messages);
+});
+
+test('keeps the first and latest exchanges and condenses the middle ones', () => {
+  const compactor = new HistoryCompactor({ maxTokens: 140, keepTurns: 2 }, quietLogger);
+  const history = compactor.compact('session', messages);
+
+  assert.deepStrictEqual(history.slice(0, 2), messages.slice(0, 2));
+  assert.deepStrictEqual(history[2], {
+    role: 'summary',
+    content: '3 earlier exchanges condensed; states visited: enter_rx_number; input entered: 9009400#, 1, 9.'
+  });
+  assert.deepStrictEqual(history.slice(3), messages.slice(8));
+  assertWholeExchanges(history);
+});
+
+test('lists fewer of the oldest inputs before touching the latest exchanges', () => {
+  const compactor = new HistoryCompactor({ maxTokens: 110, keepTurns: 2 }, quietLogger);
+  const history = compactor.compact('session', messages);
+
+  assert.deepStrictEqual(history[2], {
+    role: 'summary',
+    content: '3 earlier exchanges condensed; states visited: enter_rx_number; input entered: ..., 1, 9.'
+  });
+  assert.deepStrictEqual(history.slice(3), messages.slice(8));
+  assertWholeExchanges(history);
+});
+
+test('keeps the latest exchanges verbatim over budget, with only a count for the rest', () => {
+  const warnings = [];
+  const compactor = new HistoryCompactor({ maxTokens: 80, keepTurns: 2 }, { info() {}, warn: message => warnings.push(message) });
+  const history = compactor.compact('session', messages);
+
+  assert.deepStrictEqual(history.slice(0, 2), messages.slice(0, 2));
+  assert.deepStrictEqual(history[2], { role: 'summary', content: '3 earlier exchanges condensed.' });
+  assert.deepStrictEqual(history.slice(3), messages.slice(8));
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /still ~95 tokens after compaction \(budget 80\)/);
+});
+
+test('never gives up one of the latest exchanges, however small the budget', () => {
+  const compactor = new HistoryCompactor({ maxTokens: 1, keepTurns: 4 }, quietLogger);
+  const history = compactor.compact('session', messages);
+
+  assert.deepStrictEqual(history.slice(-8), messages.slice(-8));
+  assertWholeExchanges(history);
+});
+
+test('summarizes structured replies by their action', () => {
+  const summary = summarizeExchanges([
+    [{ role: 'user', content: 'Please enter your prescription number followed by pound.' },
+      { role: 'assistant', content: '{"actionType":"dtmf"}', action: { actionType: 'dtmf', value: '9009400#' } }],
+    [{ role: 'user', content: 'Goodbye.' },
+      { role: 'assistant', content: '{"actionType":"hangup"}', action: { actionType: 'hangup', value: '' } }],
+    [{ role: 'user', content: 'Say the name of your pharmacy.' },
+      { role: 'assistant', content: '', action: { actionType: 'speech', value: 'Main Street pharmacy on the corner of First and Elm' } }]
+  ]);
+
+  assert.strictEqual(summary, '3 earlier exchanges condensed; states visited: enter_rx_number; ' +
+    'input entered: 9009400#, hang up, "Main Street pharmacy on the corner of Fi...".');
+});
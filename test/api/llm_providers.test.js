@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AmazonQCliProvider, checkSessionOptions, pickSessionOptions, createProvider } = require('../../api/lib/llm_providers');
+const { ProviderTimeoutError, CliExitError, ValidationError } = require('../../api/lib/errors');
+
+const quietLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Write an executable stand-in for q_wrapper_with_history.sh
+ * @param {Object} t - Test context, for cleanup
+ * @param {string} body - Bash script body
+ * @returns {string} - Script path
+ */
+function fakeWrapper(t, body) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake_wrapper_'));
+  const file = path.join(dir, 'wrapper.sh');
+  fs.writeFileSync(file, `#!/bin/bash\n${body}\n`, { mode: 0o755 });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return file;
+}
+
+/**
+ * Wait until every process in a group has exited
+ * @param {number} pgid - Process group ID
+ * @returns {Promise<boolean>} - True once the group is gone (false after 2s)
+ */
+async function groupExits(pgid) {
+  for (let i = 0; i < 40; i++) {
+    try {
+      process.kill(-pgid, 0);
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return false;
+}
+
+const request = { sessionId: 'test-session', session: { profile: 'IVR_tester' }, prompt: 'The IVR says "Press 1" what next?' };
+
+test('returns the wrapper output, passing the profile and prompt file', async t => {
+  const wrapper = fakeWrapper(t, 'echo "$1 $2"; cat "$3"');
+  const provider = new AmazonQCliProvider({ wrapperPath: wrapper }, quietLogger);
+  assert.strictEqual(await provider.complete(request), 'IVR_tester --prompt-file\nThe IVR says "Press 1" what next?');
+});
+
+test('streams what the wrapper writes to fd 3', async t => {
+  const wrapper = fakeWrapper(t, 'printf "thinking... " >&3; printf "1" >&3; echo 1');
+  const provider = new AmazonQCliProvider({ wrapperPath: wrapper }, quietLogger);
+  const chunks = [];
+  assert.strictEqual(await provider.complete({ ...request, onChunk: chunk => chunks.push(chunk) }), '1');
+  assert.strictEqual(chunks.join(''), 'thinking... 1');
+});
+
+test('reports a failing wrapper with its exit code and stderr', async t => {
+  const wrapper = fakeWrapper(t, 'echo "profile not found" >&2; exit 3');
+  const provider = new AmazonQCliProvider({ wrapperPath: wrapper }, quietLogger);
+  await assert.rejects(provider.complete(request), error => {
+    assert.ok(error instanceof CliExitError);
+    assert.strictEqual(error.exitCode, 3);
+    assert.match(error.message, /profile not found/);
+    return true;
+  });
+});
+
+test('times out on time even when q outlives the wrapper, and stops both', async t => {
+  // Like q, the sleep holds stdout, stderr and fd 3 open after bash is killed
+  const pidFile = path.join(os.tmpdir(), `fake_wrapper_${process.pid}.pid`);
+  t.after(() => fs.rmSync(pidFile, { force: true }));
+  const wrapper = fakeWrapper(t, `echo $$ > "${pidFile}"; sleep 8; echo 1`);
+
+  for (const onChunk of [undefined, () => {}]) {
+    const provider = new AmazonQCliProvider({ wrapperPath: wrapper, timeout: 500 }, quietLogger);
+    const startedAt = Date.now();
+    await assert.rejects(provider.complete({ ...request, onChunk }), ProviderTimeoutError);
+    assert.ok(Date.now() - startedAt < 2000, `took ${Date.now() - startedAt}ms`);
+    assert.strictEqual(await groupExits(Number(fs.readFileSync(pidFile, 'utf8'))), true);
+  }
+});
+
+test('accepts only a provider\'s own session options', () => {
+  assert.deepStrictEqual(checkSessionOptions('openai', { model: 'gpt-4o-mini', temperature: 0 }), { model: 'gpt-4o-mini', temperature: 0 });
+  assert.throws(() => checkSessionOptions('openai', { temperature: 3 }), /providerOptions.temperature/);
+
+  ['constructor', 'toString', '__proto__'].forEach(option => {
+    const options = JSON.parse(`{ "${option}": "x" }`);
+    assert.throws(() => checkSessionOptions('amazon-q', options), error => {
+      assert.ok(error instanceof ValidationError);
+      assert.match(error.message, new RegExp(`providerOptions.${option} is not a session option for provider amazon-q \\(allowed: timeout\\)`));
+      return true;
+    });
+    assert.deepStrictEqual(pickSessionOptions('amazon-q', { ...options, timeout: 5000 }), { timeout: 5000 });
+  });
+});
+
+test('knows only its own providers', () => {
+  ['constructor', 'toString', 'gemini'].forEach(name => {
+    assert.throws(() => createProvider(name, {}, quietLogger), error => error.code === 'UNKNOWN_PROVIDER');
+  });
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MessageQueue = require('../../api/lib/message_queue');
+const { QueueFullError } = require('../../api/lib/errors');
+
+/**
+ * A task that finishes when the test says so
+ * @param {Array} log - Collects 'start <name>' and 'end <name>'
+ * @param {string} name - Task name
+ * @returns {Object} - { run, finish, fail }
+ */
+function deferredTask(log, name) {
+  let finish;
+  let fail;
+  const done = new Promise((resolve, reject) => {
+    finish = resolve;
+    fail = reject;
+  });
+  return {
+    run: () => {
+      log.push(`start ${name}`);
+      return done.then(value => {
+        log.push(`end ${name}`);
+        return value;
+      });
+    },
+    finish: value => finish(value),
+    fail: error => fail(error)
+  };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('runs one session\'s tasks in order, one at a time', async () => {
+  const queue = new MessageQueue({ concurrency: 4 });
+  const log = [];
+  const first = deferredTask(log, 'a1');
+  const second = deferredTask(log, 'a2');
+
+  const results = [queue.enqueue('a', first.run), queue.enqueue('a', second.run)];
+  await tick();
+  assert.deepStrictEqual(log, ['start a1']);
+  assert.strictEqual(queue.getPending('a'), 2);
+
+  first.finish('one');
+  second.finish('two');
+  assert.deepStrictEqual(await Promise.all(results), ['one', 'two']);
+  assert.deepStrictEqual(log, ['start a1', 'end a1', 'start a2', 'end a2']);
+  assert.strictEqual(queue.getPending('a'), 0);
+});
+
+test('a failed task rejects its caller but doesn\'t block the next one', async () => {
+  const queue = new MessageQueue();
+  const first = queue.enqueue('a', () => Promise.reject(new Error('provider down')));
+  const second = queue.enqueue('a', async () => 'still runs');
+
+  await assert.rejects(first, /provider down/);
+  assert.strictEqual(await second, 'still runs');
+  assert.deepStrictEqual(queue.getStats(), { running: 0, waiting: 0, concurrency: 4, sessionsWithPending: 0 });
+});
+
+test('caps the tasks running at once across sessions', async () => {
+  const queue = new MessageQueue({ concurrency: 2 });
+  const log = [];
+  const tasks = ['a', 'b', 'c'].map(name => deferredTask(log, name));
+  const results = tasks.map((task, index) => queue.enqueue(['a', 'b', 'c'][index], task.run));
+
+  await tick();
+  assert.deepStrictEqual(log, ['start a', 'start b']);
+  assert.deepStrictEqual(queue.getStats(), { running: 2, waiting: 1, concurrency: 2, sessionsWithPending: 3 });
+
+  // The freed slot goes straight to the waiting session
+  tasks[1].finish();
+  await tick();
+  assert.deepStrictEqual(log, ['start a', 'start b', 'end b', 'start c']);
+  assert.strictEqual(queue.getStats().running, 2);
+
+  tasks[0].finish();
+  tasks[2].fail(new Error('timeout'));
+  await Promise.allSettled(results);
+  assert.deepStrictEqual(queue.getStats(), { running: 0, waiting: 0, concurrency: 2, sessionsWithPending: 0 });
+});
+
+test('rejects with QUEUE_FULL past maxPending for one session only', async () => {
+  const queue = new MessageQueue({ maxPending: 2 });
+  const log = [];
+  const task = deferredTask(log, 'a');
+  const accepted = [queue.enqueue('a', task.run), queue.enqueue('a', async () => 'second')];
+
+  await assert.rejects(queue.enqueue('a', async () => 'third'), error => {
+    assert.ok(error instanceof QueueFullError);
+    assert.strictEqual(error.statusCode, 429);
+    assert.strictEqual(error.code, 'QUEUE_FULL');
+    return true;
+  });
+  assert.strictEqual(await queue.enqueue('b', async () => 'other session'), 'other session');
+
+  // Room frees up as the queued tasks finish
+  task.finish('first');
+  assert.deepStrictEqual(await Promise.all(accepted), ['first', 'second']);
+  assert.strictEqual(await queue.enqueue('a', async () => 'accepted again'), 'accepted again');
+});
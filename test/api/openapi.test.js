@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OpenApiValidator, validateSchema } = require('../../api/lib/openapi');
+const { ValidationError } = require('../../api/lib/errors');
+
+const spec = {
+  components: {
+    schemas: {
+      Action: {
+        type: 'object',
+        required: ['actionType'],
+        properties: {
+          actionType: { type: 'string', enum: ['dtmf', 'speech', 'hangup'] },
+          value: { type: 'string', pattern: '^[0-9*#]*$' },
+          confidence: { type: 'number', minimum: 0, maximum: 1, nullable: true }
+        },
+        additionalProperties: false
+      }
+    }
+  }
+};
+
+const check = (schema, value) => validateSchema(spec, schema, value).map(error => `${error.path} ${error.message}`);
+
+test('checks types, with integer and number kept apart', () => {
+  assert.deepStrictEqual(check({ type: 'integer' }, 1.5), ['body must be an integer']);
+  assert.deepStrictEqual(check({ type: 'number' }, NaN), ['body must be a number']);
+  assert.deepStrictEqual(check({ type: 'object' }, []), ['body must be a object']);
+  assert.deepStrictEqual(check({ type: 'string' }, null), ['body must not be null']);
+  assert.deepStrictEqual(check({ type: 'integer', minimum: 1000, maximum: 300000 }, 5000), []);
+});
+
+test('reports every problem in an object, through $refs', () => {
+  const schema = { $ref: '#/components/schemas/Action' };
+  assert.deepStrictEqual(check(schema, { actionType: 'dtmf', value: '1#', confidence: null }), []);
+  assert.deepStrictEqual(check(schema, { value: 'one', confidence: 2, extra: true, constructor: 'x' }), [
+    'body.actionType is required',
+    'body.value must match ^[0-9*#]*$',
+    'body.confidence must be at most 1',
+    'body.extra is not a known field',
+    'body.constructor is not a known field'
+  ]);
+  assert.throws(() => check({ $ref: '#/components/schemas/Missing' }, {}), /Unresolvable \$ref/);
+});
+
+test('checks array items and additionalProperties schemas with their paths', () => {
+  const testData = { type: 'object', additionalProperties: { oneOf: [{ type: 'string' }, { type: 'number' }] } };
+  assert.deepStrictEqual(check(testData, { rxNumber: 9009400, dob: '01/02/1960' }), []);
+  assert.deepStrictEqual(check(testData, { rxNumber: true }), ['body.rxNumber must be a string or a number']);
+  assert.deepStrictEqual(check({ type: 'array', items: { type: 'string', minLength: 1 } }, ['a', '']), ['body[1] must not be empty']);
+});
+
+test('validates requests against the API document', () => {
+  const validator = new OpenApiValidator({}, { error() {} });
+  const { template, operation } = validator.findOperation('POST', '/api/sessions');
+  assert.strictEqual(template, '/api/sessions');
+  assert.strictEqual(validator.findOperation('GET', '/api/unknown'), null);
+
+  assert.doesNotThrow(() => validator.validateRequest(operation, { query: {}, body: {} }));
+  assert.throws(() => validator.validateRequest(operation, { query: {}, body: { ttl: 'soon', provider: '' } }), error => {
+    assert.ok(error instanceof ValidationError);
+    assert.strictEqual(error.message, 'Invalid request: body.ttl must be an integer; body.provider must not be empty');
+    return true;
+  });
+});
+
+test('only takes profile names that are a single directory name', () => {
+  const validator = new OpenApiValidator({}, { error() {} });
+  const { operation } = validator.findOperation('POST', '/api/sessions');
+
+  assert.doesNotThrow(() => validator.validateRequest(operation, { query: {}, body: { profile: 'IVR_tester-2' } }));
+  ['../../etc', 'IVR tester', ''].forEach(profile => {
+    assert.throws(() => validator.validateRequest(operation, { query: {}, body: { profile } }), /body.profile must match/);
+  });
+});
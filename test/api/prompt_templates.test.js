@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { PromptTemplates, formatIvrPrompt, formatHistory, extractOptions } = require('../../api/lib/prompt_templates');
+
+const templates = new PromptTemplates({
+  dir: path.join(__dirname, '..', '..', 'api', 'templates'),
+  profilesFile: path.join(__dirname, 'no_profiles.json')
+}, { warn() {} });
+
+test('frames a raw prompt once', () => {
+  assert.strictEqual(formatIvrPrompt('Press 1'), 'The IVR says "Press 1" what next?');
+  assert.strictEqual(formatIvrPrompt('The IVR says "Press 1" what next?'), 'The IVR says "Press 1" what next?');
+});
+
+test('renders the current prompt framed like the history, never twice', () => {
+  ['Press 1 for refills', 'The IVR says "Press 1 for refills" what next?'].forEach(message => {
+    const { template, prompt } = templates.render({ profile: 'IVR_tester' }, [], message, 'Answer.');
+    assert.strictEqual(template, 'default');
+    assert.strictEqual(prompt, 'Human: The IVR says "Press 1 for refills" what next?\n\nAnswer.');
+  });
+});
+
+test('puts only complete exchanges and summaries in the history', () => {
+  const history = formatHistory([
+    { role: 'user', content: 'Welcome' },
+    { role: 'assistant', content: '1' },
+    { role: 'summary', content: '2 earlier exchanges condensed.' },
+    { role: 'user', content: 'Unanswered' }
+  ]);
+  assert.strictEqual(history, 'Human: The IVR says "Welcome" what next?\nAmazon Q: 1\n\n[Path so far: 2 earlier exchanges condensed.]');
+});
+
+test('lists the menu options announced in a prompt', () => {
+  assert.strictEqual(
+    extractOptions('To refill a prescription, press 1. For hours, press 4.'),
+    '1: To refill a prescription; 4: For hours'
+  );
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResponseCache, redactTestData } = require('../../api/lib/response_cache');
+const { CacheMissError } = require('../../api/lib/errors');
+
+const quietLogger = { debug() {}, error() {} };
+
+/**
+ * Create a cache in a fresh temp directory
+ * @param {Object} t - Test context, for cleanup
+ * @param {string} mode - Cache mode
+ * @param {string} [dir] - Directory to reuse
+ * @returns {ResponseCache} - Cache
+ */
+function tempCache(t, mode, dir) {
+  if (!dir) {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'response_cache_'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  }
+  return new ResponseCache({ mode, dir }, quietLogger);
+}
+
+const request = {
+  sessionId: 'test-session',
+  session: { profile: 'IVR_tester', testData: { rxNumber: '9009400', dob: '01/02/1960' } },
+  template: 'default',
+  message: 'You entered 9009400. If this is correct, press 1.',
+  prompt: 'Test data: rxNumber = 9009400; dob = 01/02/1960\nHuman: The IVR says "You entered 9009400. If this is correct, press 1." what next?'
+};
+
+test('records responses and replays them without the provider', async t => {
+  const recorder = tempCache(t, 'record');
+  assert.strictEqual(await recorder.fetch(request, async () => '1'), '1');
+
+  const replayer = tempCache(t, 'replay', recorder.options.dir);
+  const chunks = [];
+  const response = await replayer.fetch({ ...request, onChunk: chunk => chunks.push(chunk) }, () => {
+    throw new Error('provider called in replay mode');
+  });
+  assert.strictEqual(response, '1');
+  assert.deepStrictEqual(chunks, ['1']);
+});
+
+test('fails a replay miss with CACHE_MISS', async t => {
+  const cache = tempCache(t, 'replay');
+  await assert.rejects(cache.fetch({ ...request, prompt: 'never recorded' }, async () => '1'), error => {
+    assert.ok(error instanceof CacheMissError);
+    assert.strictEqual(error.code, 'CACHE_MISS');
+    return true;
+  });
+});
+
+test('keys on the profile, template and prompt only', () => {
+  const cache = new ResponseCache({}, quietLogger);
+  const key = cache.key(request);
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.strictEqual(cache.key({ ...request, sessionId: 'other', message: 'other' }), key);
+  assert.notStrictEqual(cache.key({ ...request, template: 'structured' }), key);
+  assert.notStrictEqual(cache.key({ ...request, session: { profile: 'other' } }), key);
+});
+
+test('writes no test data to the cache', async t => {
+  const cache = tempCache(t, 'record');
+  await cache.fetch(request, async () => '1');
+
+  const [file] = fs.readdirSync(cache.options.dir);
+  const contents = fs.readFileSync(path.join(cache.options.dir, file), 'utf8');
+  assert.doesNotMatch(contents, /9009400|01\/02\/1960/);
+  assert.deepStrictEqual(JSON.parse(contents), {
+    key: cache.key(request),
+    profile: 'IVR_tester',
+    template: 'default',
+    message: 'You entered [rxNumber]. If this is correct, press 1.',
+    response: '1'
+  });
+});
+
+test('redacts every occurrence of each value, numbers included', () => {
+  assert.strictEqual(redactTestData('9009400 or 9009400, born 1960', { rxNumber: 9009400, year: '1960', empty: '' }),
+    '[rxNumber] or [rxNumber], born [year]');
+  assert.strictEqual(redactTestData('Press 1', undefined), 'Press 1');
+});
+
+test('rejects unknown modes', () => {
+  assert.throws(() => new ResponseCache({ mode: 'write' }), /Unknown response cache mode "write". Available modes: off, record, replay/);
+});
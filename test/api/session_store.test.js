@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileSessionStore, MemorySessionStore, createSessionStore } = require('../../api/lib/session_store');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+/**
+ * Create a file store in a fresh temp directory
+ * @param {Object} t - Test context, for cleanup
+ * @returns {FileSessionStore} - Store
+ */
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session_store_'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new FileSessionStore({ dir }, quietLogger);
+}
+
+const session = {
+  profile: 'IVR_tester',
+  provider: 'canned',
+  messages: [{ role: 'user', content: 'Press 1' }, { role: 'assistant', content: '1' }],
+  createdAt: 1000,
+  lastActivity: 2000,
+  apiKeyId: 'ci'
+};
+
+test('writes changed sessions on flush and loads them back', t => {
+  const store = tempStore(t);
+  store.save('s1', session);
+  assert.deepStrictEqual(fs.readdirSync(store.options.dir), []);
+
+  assert.strictEqual(store.flush(), 1);
+  assert.strictEqual(store.flush(), 0);
+  assert.deepStrictEqual(new FileSessionStore(store.options, quietLogger).load(), { s1: session });
+});
+
+test('writes only the persisted fields', t => {
+  const store = tempStore(t);
+  store.save('s1', { ...session, provider: 'openai', apiKey: 'sk-secret', timer: {} });
+  store.flush();
+
+  const record = JSON.parse(fs.readFileSync(store.sessionFile('s1'), 'utf8'));
+  assert.strictEqual(record.provider, 'openai');
+  assert.strictEqual(record.apiKey, undefined);
+  assert.strictEqual(record.timer, undefined);
+});
+
+test('removes a session, written or still pending', t => {
+  const store = tempStore(t);
+  store.save('s1', session);
+  store.flush();
+  store.save('s2', session);
+
+  store.remove('s1');
+  store.remove('s2');
+  store.remove('never-saved');
+  assert.strictEqual(store.flush(), 0);
+  assert.deepStrictEqual(store.load(), {});
+});
+
+test('skips unreadable session files', t => {
+  const store = tempStore(t);
+  fs.writeFileSync(path.join(store.options.dir, 'broken.json'), '{"profile":');
+  fs.writeFileSync(path.join(store.options.dir, 'notes.txt'), 'not a session');
+  store.save('s1', session);
+  store.flush();
+
+  assert.deepStrictEqual(Object.keys(store.load()), ['s1']);
+});
+
+test('creates stores by name', () => {
+  assert.ok(createSessionStore('memory', {}, quietLogger) instanceof MemorySessionStore);
+  assert.throws(() => createSessionStore('redis'), /Unknown session store "redis". Available stores: memory, file/);
+});
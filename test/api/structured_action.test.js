@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  STRUCTURED_INSTRUCTION,
+  buildRetryInstruction,
+  parseStructuredAction,
+  actionFromText
+} = require('../../api/lib/structured_action');
+
+const reply = fields => JSON.stringify({ actionType: 'dtmf', value: '4', rationale: 'Pharmacy hours are option 4', confidence: 0.9, ...fields });
+
+test('parses a valid action', () => {
+  assert.deepStrictEqual(parseStructuredAction(reply()), {
+    action: { actionType: 'dtmf', value: '4', rationale: 'Pharmacy hours are option 4', confidence: 0.9 }
+  });
+});
+
+test('finds the JSON in a code fence or surrounding prose', () => {
+  const expected = parseStructuredAction(reply()).action;
+  assert.deepStrictEqual(parseStructuredAction(`\`\`\`json\n${reply()}\n\`\`\``).action, expected);
+  assert.deepStrictEqual(parseStructuredAction(`Here you go: ${reply()} Good luck.`).action, expected);
+});
+
+test('normalizes the action type and value', () => {
+  const { action } = parseStructuredAction(reply({ actionType: 'DTMF', value: 9009400 }));
+  assert.strictEqual(action.actionType, 'dtmf');
+  assert.strictEqual(action.value, '9009400');
+  assert.strictEqual(parseStructuredAction(reply({ actionType: 'hangup', value: null })).action.value, '');
+});
+
+test('rejects replies the model has to be re-prompted for', () => {
+  const cases = [
+    ['4', 'no JSON object found'],
+    ['{"actionType": "dtmf",}', /^invalid JSON: /],
+    [reply({ actionType: 'press' }), 'actionType must be one of dtmf, speech, wait, hangup'],
+    [reply({ actionType: 'speech', value: ' ' }), 'value is required for actionType speech'],
+    [reply({ value: 'four' }), 'dtmf value may only contain 0-9, * and #'],
+    [reply({ rationale: '' }), 'rationale must be a non-empty string'],
+    [reply({ confidence: 1.5 }), 'confidence must be a number from 0 to 1'],
+    [reply({ confidence: undefined }), 'confidence must be a number from 0 to 1']
+  ];
+
+  cases.forEach(([text, error]) => {
+    const parsed = parseStructuredAction(text);
+    assert.strictEqual(parsed.action, undefined, text);
+    if (error instanceof RegExp) {
+      assert.match(parsed.error, error);
+    } else {
+      assert.strictEqual(parsed.error, error);
+    }
+  });
+});
+
+test('the retry instruction names the problem and repeats the format', () => {
+  const first = parseStructuredAction('Press 4 for pharmacy hours');
+  const instruction = buildRetryInstruction(first.error);
+  assert.ok(instruction.startsWith('Your previous reply could not be used (no JSON object found).'));
+  assert.ok(instruction.endsWith(STRUCTURED_INSTRUCTION));
+
+  // The corrected reply to the retry is accepted
+  assert.strictEqual(parseStructuredAction(reply()).error, undefined);
+});
+
+test('infers actions from plain text', () => {
+  assert.deepStrictEqual(actionFromText(' 9009400# ', 'rule'), { actionType: 'dtmf', value: '9009400#', rationale: 'rule', confidence: 1 });
+  assert.deepStrictEqual(actionFromText('Hang Up', 'rule'), { actionType: 'hangup', value: '', rationale: 'rule', confidence: 1 });
+  assert.strictEqual(actionFromText('refill', 'rule').actionType, 'speech');
+});
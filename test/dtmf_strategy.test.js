@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { chooseDtmfStrategy, splitDigits } = require('../lib/dtmf_strategy');
+const { GATHER_DEFAULTS } = require('../lib/twiml_model');
+
+const gather = overrides => ({ ...GATHER_DEFAULTS, ...overrides });
+
+test('a single key is sent as is', () => {
+  assert.strictEqual(chooseDtmfStrategy('1', gather({ numDigits: 1 })).name, 'all-at-once');
+});
+
+test('a one-digit Gather gets one digit per request', () => {
+  const strategy = chooseDtmfStrategy('123', gather({ numDigits: 1 }));
+  assert.strictEqual(strategy.name, 'per-digit');
+  assert.deepStrictEqual(splitDigits(strategy.name, '123', gather({ numDigits: 1 })), ['1', '2', '3']);
+});
+
+test('digits that fill numDigits are sent in one request', () => {
+  assert.strictEqual(chooseDtmfStrategy('1234567', gather({ numDigits: 7 })).name, 'all-at-once');
+});
+
+test('an open-ended Gather gets its finishOnKey appended once', () => {
+  const star = gather({ finishOnKey: '*' });
+  assert.strictEqual(chooseDtmfStrategy('123', star).name, 'finish-on-key');
+  assert.deepStrictEqual(splitDigits('finish-on-key', '123', star), ['123*']);
+  assert.deepStrictEqual(splitDigits('finish-on-key', '123*', star), ['123*']);
+});
+
+test('a Gather without finishOnKey ends on its timeout', () => {
+  assert.strictEqual(chooseDtmfStrategy('123', gather({ finishOnKey: '' })).name, 'all-at-once');
+});
+
+test('without a Gather the first digit goes ahead of the rest', () => {
+  const strategy = chooseDtmfStrategy('123', null);
+  assert.strictEqual(strategy.name, 'first-then-rest');
+  assert.deepStrictEqual(splitDigits(strategy.name, '123', null), ['1', '23']);
+});
+
+test('finish-on-key forced in config falls back to # without a Gather', () => {
+  const strategy = chooseDtmfStrategy('123', null, 'finish-on-key');
+  assert.deepStrictEqual(strategy, { name: 'finish-on-key', reason: 'set in config' });
+  assert.deepStrictEqual(splitDigits(strategy.name, '123', null), ['123#']);
+});
+
+test('an unknown strategy in config is rejected', () => {
+  assert.throws(() => chooseDtmfStrategy('123', null, 'sideways'), /Unknown DTMF strategy: sideways/);
+});
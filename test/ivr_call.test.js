@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const IvrFlowTester = require('../lib/ivr_flow_tester');
+const { IvrCall, toE164 } = require('../lib/ivr_call');
+
+const BASE_URL = 'http://ivr.test';
+
+/**
+ * A flow tester whose IVR answers from a script instead of the network
+ * @param {Object} twiml - Response body by "<METHOD> <path>"; a function gets the params
+ * @returns {IvrFlowTester} - Tester; tester.sent lists the requests made
+ */
+function scriptedTester(twiml) {
+  const tester = new IvrFlowTester({ baseUrl: BASE_URL, outputDir: os.tmpdir(), debug: false, logToFile: false, defaultWaitTime: 0, maxRedirects: 3 });
+  tester.sent = [];
+  tester.requestTwiml = async (request, params) => {
+    const route = `${request.method} ${new URL(request.url).pathname}`;
+    tester.sent.push({ route, params });
+    const body = twiml[route];
+    if (body === undefined) {
+      const error = new Error('Request failed with status code 404');
+      error.response = { status: 404, data: 'Not found' };
+      throw error;
+    }
+    return { status: 200, data: `<Response>${typeof body === 'function' ? body(params) : body}</Response>` };
+  };
+  return tester;
+}
+
+const quiet = t => t.mock.method(console, 'log', () => {});
+
+test('formats numbers as E.164', () => {
+  assert.strictEqual(toE164('7249143802'), '+17249143802');
+  assert.strictEqual(toE164('(724) 914-3802'), '+17249143802');
+  assert.strictEqual(toE164('+44 20 7946 0958'), '+442079460958');
+});
+
+test('places the call with Twilio\'s webhook parameters and sends input to the Gather action', async () => {
+  const tester = scriptedTester({
+    'POST /twilio/v1/voice': '<Gather action="/menu" numDigits="1"><Say>For refills, press 1.</Say></Gather>',
+    'POST /menu': params => `<Say>You pressed ${params.Digits}.</Say><Gather/>`
+  });
+  const call = new IvrCall(tester, 'Refill', { from: '5555550100' });
+
+  await call.start();
+  assert.match(call.sid, /^Refill_[0-9a-f]{8}$/);
+  assert.strictEqual(call.active, true);
+  assert.deepStrictEqual(call.nextRequest, { url: `${BASE_URL}/menu`, method: 'POST' });
+
+  const [{ params }] = tester.sent;
+  assert.strictEqual(params.CallSid, call.sid);
+  assert.strictEqual(params.From, '+15555550100');
+  assert.strictEqual(params.Caller, '+15555550100');
+  assert.strictEqual(params.To, '+19193736940');
+  assert.strictEqual(params.CallStatus, 'in-progress');
+  assert.match(params.AccountSid, /^AC0{32}$/);
+
+  await call.sendDtmf('1');
+  assert.deepStrictEqual(tester.sent.map(request => request.route), ['POST /twilio/v1/voice', 'POST /menu']);
+  assert.strictEqual(call.lastPrompt.text, 'You pressed 1.');
+  assert.deepStrictEqual(call.timings.map(({ kind, status }) => [kind, status]), [['start', 200], ['digits', 200]]);
+});
+
+test('follows a Redirect chain and stops a loop', async () => {
+  const tester = scriptedTester({
+    'POST /twilio/v1/voice': '<Say>One moment.</Say><Redirect method="GET">/hold</Redirect>',
+    'GET /hold': '<Gather action="/menu"><Say>Main menu.</Say></Gather><Redirect>/goodbye</Redirect>',
+    'POST /loop': '<Redirect>/loop</Redirect>'
+  });
+  const call = new IvrCall(tester, 'Redirects');
+
+  await call.start();
+  assert.deepStrictEqual(tester.sent.map(request => request.route), ['POST /twilio/v1/voice', 'GET /hold']);
+  assert.strictEqual(call.lastPrompt.text, 'Main menu.');
+  // Input goes to the Gather's action; no input falls through to the Redirect after it
+  assert.deepStrictEqual(call.nextRequest, { url: `${BASE_URL}/menu`, method: 'POST' });
+  assert.deepStrictEqual(call.noInputRequest, { url: `${BASE_URL}/goodbye`, method: 'POST' });
+
+  await assert.rejects(call.exchange({ url: `${BASE_URL}/loop`, method: 'POST' }, call.callParams(), 'continue'),
+    /Redirect loop: gave up after 3 redirects/);
+});
+
+test('takes no input once the IVR hangs up, but still sends the status callback', async t => {
+  quiet(t);
+  const tester = scriptedTester({
+    'POST /twilio/v1/voice': '<Say>We are closed.</Say><Hangup/>',
+    'POST /twilio/v1/voice/status': ''
+  });
+  const call = new IvrCall(tester, 'Closed');
+
+  await call.start();
+  assert.strictEqual(call.active, false);
+  assert.strictEqual(call.endedByIvr, true);
+  assert.strictEqual(call.open, true);
+  await assert.rejects(call.sendDtmf('1'), /Cannot send DTMF: call Closed_[0-9a-f]{8} ended by IVR/);
+  await assert.rejects(call.continueCall(), /ended by IVR/);
+
+  await call.hangup();
+  assert.strictEqual(call.open, false);
+  const status = tester.sent[tester.sent.length - 1];
+  assert.strictEqual(status.route, 'POST /twilio/v1/voice/status');
+  assert.strictEqual(status.params.CallStatus, 'completed');
+  assert.match(status.params.CallDuration, /^\d+$/);
+});
+
+test('records failed requests in its timings', async t => {
+  quiet(t);
+  const call = new IvrCall(scriptedTester({}), 'Down');
+
+  await assert.rejects(call.start(), /status code 404/);
+  assert.strictEqual(call.active, false);
+  assert.deepStrictEqual(call.timings.map(({ kind, status, error }) => [kind, status, error]),
+    [['start', 404, 'Request failed with status code 404']]);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IvrCassette, CassetteMismatchError } = require('../lib/ivr_cassette');
+
+/**
+ * Path for a cassette file in a fresh temp directory
+ * @param {Object} t - Test context, for cleanup
+ * @returns {string} - Cassette file (not created yet)
+ */
+function cassetteFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ivr_cassette_'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'cassettes', 'call.json');
+}
+
+const greeting = { method: 'POST', url: 'http://localhost:3000/voice', params: { CallSid: 'CA1', From: '+15555550100' } };
+const menu = { method: 'POST', url: 'http://localhost:3000/voice', params: { CallSid: 'CA1', From: '+15555550100', Digits: '1' } };
+
+/**
+ * Record a two-request call: a greeting, then a 500 for the menu choice
+ * @param {string} file - Cassette file
+ */
+async function recordCall(file) {
+  const cassette = new IvrCassette({ mode: 'record', file });
+  await cassette.fetch(greeting, async () => ({ status: 200, data: '<Response><Say>Welcome.</Say></Response>' }));
+  await assert.rejects(cassette.fetch(menu, async () => {
+    const error = new Error('Request failed with status code 500');
+    error.response = { status: 500, data: 'Internal error' };
+    throw error;
+  }));
+}
+
+test('replays a recorded call in order, failures included', async t => {
+  const file = cassetteFile(t);
+  await recordCall(file);
+
+  const cassette = new IvrCassette({ mode: 'replay', file });
+  assert.strictEqual(cassette.remaining(), 2);
+
+  const send = () => assert.fail('replay went to the network');
+  const replayed = await cassette.fetch({ ...greeting, params: { ...greeting.params, CallSid: 'CA2' } }, send);
+  assert.deepStrictEqual(replayed, { status: 200, data: '<Response><Say>Welcome.</Say></Response>' });
+  await assert.rejects(cassette.fetch(menu, send), error => {
+    assert.strictEqual(error.response.status, 500);
+    assert.strictEqual(error.response.data, 'Internal error');
+    return true;
+  });
+  assert.strictEqual(cassette.remaining(), 0);
+});
+
+test('fails a replayed request that differs from the recording', async t => {
+  const file = cassetteFile(t);
+  await recordCall(file);
+
+  const cassette = new IvrCassette({ mode: 'replay', file });
+  await assert.rejects(cassette.fetch(menu), error => {
+    assert.ok(error instanceof CassetteMismatchError);
+    assert.match(error.message, /Request 1 does not match .*: Digits expected undefined, got "1"/);
+    assert.strictEqual(error.details.index, 0);
+    return true;
+  });
+});
+
+test('fails once the recording runs out', async t => {
+  const file = cassetteFile(t);
+  await recordCall(file);
+
+  const cassette = new IvrCassette({ mode: 'replay', file });
+  await cassette.fetch(greeting);
+  await assert.rejects(cassette.fetch(menu));
+  await assert.rejects(cassette.fetch(menu), /ran out after 2 requests; request 3 \(POST http:\/\/localhost:3000\/voice\) was not recorded/);
+});
+
+test('saves each exchange as it is recorded', async t => {
+  const file = cassetteFile(t);
+  const cassette = new IvrCassette({ mode: 'record', file });
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).interactions, []);
+
+  await cassette.fetch(greeting, async () => ({ status: 200, data: '<Response/>' }));
+  const [interaction] = JSON.parse(fs.readFileSync(file, 'utf8')).interactions;
+  assert.deepStrictEqual(interaction.request, greeting);
+  assert.deepStrictEqual(interaction.response, { status: 200, body: '<Response/>' });
+  assert.strictEqual(typeof interaction.durationMs, 'number');
+});
+
+test('checks its mode and file up front', t => {
+  assert.throws(() => new IvrCassette({ mode: 'rewind' }), /Unknown cassette mode "rewind"/);
+  assert.throws(() => new IvrCassette({ mode: 'record' }), /needs a cassette file/);
+  assert.throws(() => new IvrCassette({ mode: 'replay', file: cassetteFile(t) }), /Cassette not found/);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IvrFlowTester = require('../lib/ivr_flow_tester');
+const { IvrLoadTest, formatLoadReport, pathFromCassette, randomCallerNumber, percentile } = require('../lib/ivr_load_test');
+
+const BASE_URL = 'http://ivr.test';
+
+/**
+ * Write a cassette file in a fresh temp directory
+ * @param {Object} t - Test context, for cleanup
+ * @param {Array} interactions - Recorded [url, params, body] exchanges
+ * @returns {string} - Cassette file
+ */
+function writeCassette(t, interactions) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ivr_load_test_'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'call.json');
+  fs.writeFileSync(file, JSON.stringify({
+    version: 1,
+    interactions: interactions.map(([url, params, body], index) => ({
+      index,
+      request: { method: 'POST', url: `${BASE_URL}${url}`, params: { CallSid: 'Rec_1', ...params } },
+      response: { status: 200, body: `<Response>${body}</Response>` }
+    }))
+  }));
+  return file;
+}
+
+// A refill call: greeting, a Redirect to the menu, one key, the RX number, then a continue
+const RECORDED_CALL = [
+  ['/twilio/v1/voice', {}, '<Say>Welcome.</Say><Redirect>/menu</Redirect>'],
+  ['/menu', {}, '<Gather action="/menu/choice" numDigits="1"><Say>For refills, press 1.</Say></Gather>'],
+  ['/menu/choice', { Digits: '1' }, '<Gather action="/rx"><Say>Enter the prescription number.</Say></Gather>'],
+  ['/rx', { Digits: '9009400#' }, '<Say>Please hold.</Say>'],
+  ['/rx', {}, '<Say>Your refill is on its way.</Say><Hangup/>'],
+  ['/twilio/v1/voice/status', { CallStatus: 'completed' }, '']
+];
+
+test('takes nearest-rank percentiles', () => {
+  const sorted = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+  assert.strictEqual(percentile(sorted, 50), 50);
+  assert.strictEqual(percentile(sorted, 95), 100);
+  assert.strictEqual(percentile([7], 99), 7);
+  assert.strictEqual(percentile([], 50), null);
+});
+
+test('hands out distinct fictional caller numbers', () => {
+  const taken = new Set();
+  const numbers = Array.from({ length: 50 }, () => randomCallerNumber(taken));
+  numbers.forEach(number => assert.match(number, /^[2-9]\d{2}55501\d{2}$/));
+  assert.strictEqual(new Set(numbers).size, 50);
+  assert.strictEqual(taken.size, 50);
+});
+
+test('reads the inputs of a recorded call, leaving out redirects and the status callback', async t => {
+  const file = writeCassette(t, [
+    ...RECORDED_CALL,
+    ['/menu/choice', { CallSid: 'Rec_2', Digits: '4' }, '<Say>Other call.</Say>']
+  ]);
+  assert.deepStrictEqual(await pathFromCassette(file), [
+    { type: 'digits', value: '1' },
+    { type: 'digits', value: '9009400#' },
+    { type: 'continue' }
+  ]);
+  await assert.rejects(pathFromCassette(writeCassette(t, [])), /has no recorded requests/);
+});
+
+test('needs one plan and at least one call', () => {
+  const tester = {};
+  assert.throws(() => new IvrLoadTest(tester, {}), /either a scenario or a recorded path/);
+  assert.throws(() => new IvrLoadTest(tester, { scenario: 'refill_prescription', path: 'call.json' }), /either a scenario or a recorded path/);
+  assert.throws(() => new IvrLoadTest(tester, { scenario: 'refill_prescription', calls: 0 }), /at least one call, got 0/);
+});
+
+test('runs a recorded path on concurrent calls and reports what differed', async t => {
+  const tester = new IvrFlowTester({ baseUrl: BASE_URL, outputDir: os.tmpdir(), debug: false, logToFile: false, defaultWaitTime: 0 });
+  let calls = 0;
+  tester.requestTwiml = async (request, params) => {
+    const url = new URL(request.url).pathname;
+    // The third load call hears a different greeting
+    if (url === '/twilio/v1/voice' && ++calls === 4) {
+      return { status: 200, data: '<Response><Say>We are closed.</Say><Redirect>/menu</Redirect></Response>' };
+    }
+    const [, , body] = RECORDED_CALL.find(([recordedUrl, recorded]) => recordedUrl === url && recorded.Digits === params.Digits);
+    return { status: 200, data: `<Response>${body}</Response>` };
+  };
+
+  const loadTest = new IvrLoadTest(tester, { calls: 3, path: writeCassette(t, RECORDED_CALL), name: 'Load' });
+  const report = await loadTest.run();
+
+  assert.strictEqual(report.calls, 3);
+  assert.strictEqual(report.failedCalls, 0);
+  assert.deepStrictEqual(Object.keys(report.requests), ['start', 'continue', 'digits', 'redirect', 'hangup']);
+  assert.strictEqual(report.requests.digits.count, 6);
+  assert.strictEqual(report.baseline.responses[0], 'Welcome.');
+  assert.strictEqual(report.differences.length, 1);
+  assert.deepStrictEqual({ ...report.differences[0], calls: report.differences[0].calls.length },
+    { response: 1, expected: 'Welcome.', actual: 'We are closed.', calls: 1 });
+
+  const text = formatLoadReport(report);
+  assert.match(text, /Calls: 3 over 0s ramp-up/);
+  assert.match(text, /\| digits \| 6 \| 0 \(0.0%\) \|/);
+  assert.match(text, /- Response 1 on 1 call\(s\), e.g. Load_\d+_[0-9a-f]{8}\n {2}- Expected: "Welcome."\n {2}- Got: "We are closed."/);
+});
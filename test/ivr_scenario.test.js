@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadScenario, normalizeScenario, resolveScenarioFile, listScenarioFiles, fillTemplate } = require('../lib/ivr_scenario');
+
+const SCENARIOS_DIR = path.join(__dirname, '..', 'scenarios');
+
+/**
+ * Normalize a scenario made of the given steps
+ * @param {Array} steps - Steps
+ * @returns {Object} - Normalized scenario
+ */
+const withSteps = steps => normalizeScenario({ name: 'test', steps });
+
+test('loads every bundled scenario', () => {
+  const files = listScenarioFiles(SCENARIOS_DIR);
+  assert.deepStrictEqual(files.map(file => path.basename(file)), ['check_status.yaml', 'pharmacy_hours.yaml', 'refill_prescription.yaml']);
+  files.forEach(file => assert.doesNotThrow(() => loadScenario(file), file));
+});
+
+test('normalizes steps and fills in defaults', () => {
+  const scenario = loadScenario(resolveScenarioFile('refill_prescription', SCENARIOS_DIR));
+  assert.strictEqual(scenario.callName, 'RefillRx_{{rxNumber}}');
+  assert.deepStrictEqual(scenario.data, {});
+  assert.deepStrictEqual(scenario.steps.slice(0, 3), [
+    { type: 'continue', value: true },
+    { type: 'expect', value: { state: 'main_menu' } },
+    { type: 'digits', value: '1' }
+  ]);
+
+  assert.deepStrictEqual(withSteps([{ digits: 4 }, 'confirm']).steps, [
+    { type: 'digits', value: '4' },
+    { type: 'confirm', value: { when: 'confirm|is this correct', digits: '1' } }
+  ]);
+});
+
+test('names the step that is wrong', () => {
+  assert.throws(() => normalizeScenario({ steps: ['continue'] }), /A scenario needs a name/);
+  assert.throws(() => withSteps([]), /Scenario test needs a list of steps/);
+  assert.throws(() => withSteps(['continue', 'dance']), /Scenario test: step 2 must be one of continue, digits/);
+  assert.throws(() => withSteps([{ digits: '1', wait: 5 }]), /step 1 must be one of/);
+  assert.throws(() => withSteps([{ digits: '' }]), /step 1: digits must be keys to press/);
+  assert.throws(() => withSteps([{ wait: 'soon' }]), /step 1: wait must be a number of milliseconds/);
+  assert.throws(() => withSteps([{ expect: {} }]), /step 1: expect needs state, contains or matches/);
+  assert.throws(() => withSteps([{ expect: { state: 'lobby' } }]), /step 1: unknown state "lobby"/);
+  assert.throws(() => withSteps([{ expect: { matches: '(' } }]), /step 1: invalid pattern "\("/);
+});
+
+test('loads JSON scenarios and finds them by name', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ivr_scenario_'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'hours.json'), JSON.stringify({ steps: ['continue', { digits: '4' }, 'hangup'] }));
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a scenario');
+
+  const file = resolveScenarioFile('hours', dir);
+  assert.strictEqual(file, path.join(dir, 'hours.json'));
+  assert.strictEqual(loadScenario(file).name, 'hours');
+  assert.deepStrictEqual(listScenarioFiles(dir), [file]);
+  assert.deepStrictEqual(listScenarioFiles(path.join(dir, 'missing')), []);
+  assert.throws(() => resolveScenarioFile('refills', dir), /Scenario not found: refills/);
+});
+
+test('fills placeholders from test values and records which were used', () => {
+  const used = new Set();
+  assert.strictEqual(fillTemplate('RefillRx_{{rxNumber}}#', { rxNumber: 9009400, dob: '01021960' }, used), 'RefillRx_9009400#');
+  assert.deepStrictEqual([...used], ['rxNumber']);
+  assert.throws(() => fillTemplate('{{dob}}', {}), /No test value for \{\{dob\}\}/);
+});
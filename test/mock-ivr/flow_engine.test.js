@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { FlowEngine, checkFlow } = require('../../mock-ivr/lib/flow_engine');
+
+const quietLogger = { info() {} };
+
+/**
+ * A small flow touching every node type
+ * @returns {Object} - Flow definition (checkFlow changes it, so each test gets its own)
+ */
+function sampleFlow() {
+  return {
+    name: 'sample',
+    start: 'greeting',
+    maxRetries: 2,
+    tooManyRetries: 'goodbye',
+    nodes: {
+      greeting: { type: 'say', say: 'Welcome.', hold: true, next: 'menu' },
+      menu: {
+        type: 'menu',
+        say: ['For refills, press 1.', 'For hours, press 4.'],
+        options: { 1: { next: 'enter_rx', speech: ['refill'] }, 4: 'hours' }
+      },
+      enter_rx: {
+        type: 'collect',
+        say: 'Enter the prescription number, then pound.',
+        store: 'rxNumber',
+        validate: { pattern: '^\\d{7}$' },
+        invalid: { say: 'That is not a valid number.' },
+        next: 'lookup'
+      },
+      lookup: {
+        type: 'branch',
+        branches: [{ when: { value: 'rxNumber', in: ['9009400'] }, next: 'ready' }],
+        default: 'not_found'
+      },
+      ready: { type: 'hangup', say: 'Prescription {{rxNumber}} is ready.' },
+      not_found: { type: 'hangup', say: 'We could not find {{rxNumber}}.' },
+      hours: { type: 'say', say: 'We are open 9 to 9.', next: 'menu' },
+      goodbye: { type: 'hangup', say: 'Goodbye.' }
+    }
+  };
+}
+
+/**
+ * Start an engine on the sample flow
+ * @returns {Function} - Sends one request: (callSid, params) => TwiML
+ */
+function startEngine() {
+  const engine = new FlowEngine(sampleFlow(), quietLogger);
+  const send = (callSid, params = {}) => engine.handle({ CallSid: callSid, ...params });
+  send.engine = engine;
+  return send;
+}
+
+test('rejects flows that point at unknown nodes or types', () => {
+  assert.throws(() => checkFlow({ nodes: {} }), /needs a start node/);
+  assert.throws(() => checkFlow({
+    name: 'broken',
+    start: 'a',
+    nodes: {
+      a: { type: 'menu', options: { 1: 'missing' } },
+      b: { type: 'dance' },
+      c: { type: 'collect' }
+    }
+  }), /Invalid flow broken: a points to unknown node missing; b has unknown type dance .*; c is a collect node without a store name/);
+});
+
+test('loads the bundled pharmacy flow', () => {
+  const engine = FlowEngine.fromFile(path.join(__dirname, '..', '..', 'mock-ivr', 'flows', 'pharmacy.yaml'), quietLogger);
+  assert.strictEqual(engine.flow.name, 'pharmacy');
+  assert.match(engine.handle({ CallSid: 'CA1' }), /Thank you for calling Main Street Pharmacy/);
+});
+
+test('holds after a say node, then gathers one key for a menu', () => {
+  const send = startEngine();
+  assert.strictEqual(send('CA1'), '<?xml version="1.0" encoding="UTF-8"?><Response><Say>Welcome.</Say></Response>');
+  assert.strictEqual(send('CA1'), '<?xml version="1.0" encoding="UTF-8"?><Response>' +
+    '<Gather input="dtmf speech" timeout="5" numDigits="1"><Say>For refills, press 1.</Say><Say>For hours, press 4.</Say></Gather></Response>');
+});
+
+test('runs through say nodes without hold in one response', () => {
+  const send = startEngine();
+  send('CA1');
+  send('CA1');
+  const twiml = send('CA1', { Digits: '4' });
+  assert.match(twiml, /<Say>We are open 9 to 9.<\/Say><Gather [^>]*numDigits="1">/);
+});
+
+test('collects digits without the finishing key and branches on them', () => {
+  const send = startEngine();
+  send('CA1');
+  send('CA1');
+  assert.match(send('CA1', { SpeechResult: 'I need a refill' }), /<Gather input="dtmf" timeout="5" finishOnKey="#">/);
+  assert.match(send('CA1', { Digits: '9009400#' }), /<Say>Prescription 9009400 is ready.<\/Say><Hangup\/>/);
+  assert.deepStrictEqual(send.engine.calls.get('CA1').values, { rxNumber: '9009400' });
+});
+
+test('re-prompts on invalid input and gives up after maxRetries', () => {
+  const send = startEngine();
+  send('CA1');
+  send('CA1');
+  send('CA1', { Digits: '1' });
+  assert.match(send('CA1', { Digits: '123#' }), /<Say>That is not a valid number.<\/Say><Gather/);
+  assert.match(send('CA1', { Digits: '123#' }), /<Say>That is not a valid number.<\/Say><Say>Goodbye.<\/Say><Hangup\/>/);
+});
+
+test('says the prompt again when the Gather times out', () => {
+  const send = startEngine();
+  send('CA1');
+  const menu = send('CA1');
+  assert.strictEqual(send('CA1'), menu);
+});
+
+test('keeps each CallSid on its own path', () => {
+  const send = startEngine();
+  ['CA1', 'CA2'].forEach(callSid => {
+    send(callSid);
+    send(callSid);
+    send(callSid, { Digits: '1' });
+  });
+  assert.match(send('CA1', { Digits: '9009400#' }), /is ready/);
+  assert.match(send('CA2', { Digits: '1234567#' }), /could not find 1234567/);
+});
+
+test('keeps hanging up after the flow ends, until the status callback', () => {
+  const send = startEngine();
+  send('CA1');
+  send('CA1');
+  send('CA1', { Digits: '1' });
+  send('CA1', { Digits: '9009400#' });
+  send('CA2');
+
+  assert.strictEqual(send('CA1', { Digits: '1' }), '<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>');
+  assert.strictEqual(send.engine.activeCalls(), 1);
+  assert.strictEqual(send.engine.end('CA1'), true);
+  assert.strictEqual(send.engine.end('CA1'), false);
+});
+
+test('needs a CallSid', () => {
+  const send = startEngine();
+  assert.throws(() => send.engine.handle({}), /CallSid is required/);
+});
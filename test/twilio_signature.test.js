@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeSignature, validateSignature } = require('../lib/twilio_signature');
+
+// The example from Twilio's webhook security documentation
+const AUTH_TOKEN = '12345';
+const URL = 'https://mycompany.com/myapp.php?foo=1&bar=2';
+const PARAMS = {
+  CallSid: 'CA1234567890ABCDE',
+  Caller: '+12349013030',
+  Digits: '1234',
+  From: '+12349013030',
+  To: '+18005551212'
+};
+const SIGNATURE = '0/KCTR6DLpKmkAf8muzZqo1nDgQ=';
+
+test('matches the signature in Twilio\'s documentation', () => {
+  assert.strictEqual(computeSignature(AUTH_TOKEN, URL, PARAMS), SIGNATURE);
+});
+
+test('sorts parameters by name, whatever order they are given in', () => {
+  const reversed = Object.fromEntries(Object.entries(PARAMS).reverse());
+  assert.strictEqual(computeSignature(AUTH_TOKEN, URL, reversed), SIGNATURE);
+});
+
+test('validates the documented signature', () => {
+  assert.strictEqual(validateSignature(AUTH_TOKEN, SIGNATURE, URL, PARAMS), true);
+});
+
+test('rejects a changed parameter, URL or token', () => {
+  assert.strictEqual(validateSignature(AUTH_TOKEN, SIGNATURE, URL, { ...PARAMS, Digits: '1235' }), false);
+  assert.strictEqual(validateSignature(AUTH_TOKEN, SIGNATURE, 'https://mycompany.com/myapp.php', PARAMS), false);
+  assert.strictEqual(validateSignature('54321', SIGNATURE, URL, PARAMS), false);
+});
+
+test('rejects a missing signature', () => {
+  assert.strictEqual(validateSignature(AUTH_TOKEN, undefined, URL, PARAMS), false);
+  assert.strictEqual(validateSignature(AUTH_TOKEN, '', URL, PARAMS), false);
+});
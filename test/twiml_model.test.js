@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const xml2js = require('xml2js');
+const { buildPromptModel, describePromptModel, GATHER_DEFAULTS } = require('../lib/twiml_model');
+const { XML_PARSER_OPTIONS } = require('../lib/ivr_call');
+
+/**
+ * Parse TwiML the way a call does
+ * @param {string} xml - TwiML response
+ * @returns {Promise<Object>} - Prompt model
+ */
+async function model(xml) {
+  return buildPromptModel(await new xml2js.Parser(XML_PARSER_OPTIONS).parseStringPromise(xml));
+}
+
+test('keeps the verbs in order and joins the spoken text', async () => {
+  const prompt = await model('<Response><Say>Welcome.</Say><Pause length="1"/><Gather><Say>Press 1 for refills.</Say></Gather></Response>');
+  assert.deepStrictEqual(prompt.verbs.map(verb => verb.verb), ['Say', 'Pause', 'Gather']);
+  assert.deepStrictEqual(prompt.verbs[1].attributes, { length: '1' });
+  assert.strictEqual(prompt.text, 'Welcome. Press 1 for refills.');
+  assert.strictEqual(prompt.hangup, false);
+  assert.strictEqual(prompt.redirect, null);
+});
+
+test('fills in Twilio\'s Gather defaults', async () => {
+  const prompt = await model('<Response><Gather><Say>Enter your number</Say></Gather></Response>');
+  assert.deepStrictEqual(prompt.gather, GATHER_DEFAULTS);
+  assert.strictEqual(describePromptModel(prompt), 'Gather');
+});
+
+test('reads the Gather attributes', async () => {
+  const prompt = await model('<Response><Gather numDigits="7" finishOnKey="" timeout="10" input="dtmf speech" action="/rx" method="get"/></Response>');
+  assert.deepStrictEqual(prompt.gather, {
+    numDigits: 7,
+    finishOnKey: '',
+    timeout: 10,
+    input: ['dtmf', 'speech'],
+    action: '/rx',
+    method: 'GET'
+  });
+  assert.strictEqual(describePromptModel(prompt), 'Gather(numDigits=7, finishOnKey="", input=dtmf speech)');
+});
+
+test('reads a Redirect and a Hangup', async () => {
+  const redirect = await model('<Response><Say>One moment.</Say><Redirect method="get">/voice/next</Redirect></Response>');
+  assert.deepStrictEqual(redirect.redirect, { url: '/voice/next', method: 'GET' });
+  assert.strictEqual(redirect.gather, null);
+
+  const hangup = await model('<Response><Say>Goodbye.</Say><Hangup/></Response>');
+  assert.strictEqual(hangup.hangup, true);
+  assert.strictEqual(describePromptModel(hangup), 'Say, Hangup');
+});
+
+test('puts non-speech element text under its own field', async () => {
+  const prompt = await model('<Response><Play>https://example.com/tone.mp3</Play><Dial>+18005551212</Dial></Response>');
+  assert.strictEqual(prompt.verbs[0].url, 'https://example.com/tone.mp3');
+  assert.strictEqual(prompt.verbs[1].number, '+18005551212');
+  assert.strictEqual(prompt.text, '');
+});
+
+test('reads the text of verbs that carry attributes, in and out of a Gather', async () => {
+  const prompt = await model('<Response>' +
+    '<Say voice="alice" language="en-US">\n  Welcome.\n</Say>' +
+    '<Gather numDigits="1"><Say voice="Polly.Joanna">Press 1 for refills.</Say><Play loop="2">https://example.com/menu.mp3</Play></Gather>' +
+    '<Dial callerId="+18005550000" timeout="20">+18005551212</Dial>' +
+    '<Redirect method="get">/voice/next</Redirect>' +
+    '<Say voice="alice"/>' +
+    '</Response>');
+
+  assert.deepStrictEqual(prompt.verbs[0], { verb: 'Say', attributes: { voice: 'alice', language: 'en-US' }, text: 'Welcome.' });
+  assert.deepStrictEqual(prompt.verbs[1].children, [
+    { verb: 'Say', attributes: { voice: 'Polly.Joanna' }, text: 'Press 1 for refills.' },
+    { verb: 'Play', attributes: { loop: '2' }, url: 'https://example.com/menu.mp3' }
+  ]);
+  assert.deepStrictEqual(prompt.verbs[2], { verb: 'Dial', attributes: { callerId: '+18005550000', timeout: '20' }, number: '+18005551212' });
+  assert.deepStrictEqual(prompt.redirect, { url: '/voice/next', method: 'GET' });
+  assert.deepStrictEqual(prompt.verbs[4], { verb: 'Say', attributes: { voice: 'alice' } });
+  assert.strictEqual(prompt.text, 'Welcome. Press 1 for refills.');
+});
+
+test('gives an empty model for a response that isn\'t TwiML', () => {
+  assert.deepStrictEqual(buildPromptModel(null), { verbs: [], gather: null, redirect: null, hangup: false, text: '' });
+});